@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Decides when animated glass should stop ticking so it does not cost
+// battery while nobody is looking: after a stretch without user input,
+// while the session is locked, and on monitors covered by a fullscreen
+// window.  The lock screen's own glass is what is looked at while locked,
+// so the monitor of LockGlass leaves that out (see pauseWhenLocked).
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// Pause animations after this long without keyboard/pointer input (ms)
+const IDLE_TIMEOUT = 30 * 1000;
+
+export class ActivityMonitor {
+    /**
+     * @param {Function} onChanged - called whenever isPaused() may have
+     *   changed for any monitor
+     * @param {object} [params]
+     * @param {boolean} [params.pauseWhenLocked] - whether to pause while
+     *   the session is locked
+     */
+    constructor(onChanged, {pauseWhenLocked = true} = {}) {
+        this._onChanged = onChanged;
+        this._pauseWhenLocked = pauseWhenLocked;
+        this._idleMonitor = null;
+        this._idleWatchId = 0;
+        this._activeWatchId = 0;
+        this._idle = false;
+        this._signalIds = [];
+    }
+
+    enable() {
+        this._idleMonitor = global.backend.get_core_idle_monitor();
+        this._idleWatchId = this._idleMonitor.add_idle_watch(IDLE_TIMEOUT,
+            () => this._onIdle());
+
+        this._connectSignal(Main.sessionMode, 'updated',
+            () => this._onChanged());
+        this._connectSignal(global.display, 'in-fullscreen-changed',
+            () => this._onChanged());
+    }
+
+    disable() {
+        if (this._idleWatchId)
+            this._idleMonitor.remove_watch(this._idleWatchId);
+        if (this._activeWatchId)
+            this._idleMonitor.remove_watch(this._activeWatchId);
+        this._idleWatchId = 0;
+        this._activeWatchId = 0;
+        this._idleMonitor = null;
+        this._idle = false;
+
+        for (const {obj, id} of this._signalIds)
+            obj.disconnect(id);
+        this._signalIds = [];
+    }
+
+    /**
+     * Whether animations on the given monitor should be paused.
+     */
+    isPaused(monitorIndex) {
+        if (this._idle || (this._pauseWhenLocked && Main.sessionMode.isLocked))
+            return true;
+
+        return monitorIndex >= 0 &&
+            global.display.get_monitor_in_fullscreen(monitorIndex);
+    }
+
+    // ── Private ──
+
+    _onIdle() {
+        this._idle = true;
+
+        // A user-active watch fires once, on the next input event
+        this._activeWatchId = this._idleMonitor.add_user_active_watch(() => {
+            this._activeWatchId = 0;
+            this._idle = false;
+            this._onChanged();
+        });
+        this._onChanged();
+    }
+
+    _connectSignal(obj, signal, callback) {
+        const id = obj.connect(signal, callback);
+        this._signalIds.push({obj, id});
+    }
+}
@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Live capture of the windows underneath a glass surface.
+//
+// Rather than cloning the whole of global.window_group (which would redraw
+// the glass whenever anything on screen changes), a Clutter.Clone is kept
+// only for the window actors that actually intersect the captured region.
+// Clutter propagates a window's damage to its clones, so the glass is only
+// re-rendered when something beneath it changed:
+//
+//   - a window underneath repaints             → its clone queues a redraw
+//   - a window moves/resizes into or out of it → clones are re-synced
+//   - stacking or workspace changes            → clones are re-synced
+//
+// The clones are layered on top of the wallpaper actor created by the
+// BackgroundManager, inside the same container widget, and below a
+// `topmost` actor when there is one (the overview backdrop, see target.js).
+// Glass behind a window (a titlebar) only captures the windows stacked
+// below that window.
+
+import Clutter from 'gi://Clutter';
+import Meta from 'gi://Meta';
+import Mtk from 'gi://Mtk';
+
+export class WindowCapture {
+    /**
+     * @param {Clutter.Actor} container - full-monitor widget holding the
+     *   wallpaper actor; clones are positioned in its coordinate space
+     * @param {object} monitor - layout manager monitor the container covers
+     * @param {object} [params]
+     * @param {Meta.WindowActor} [params.below] - only clone the windows
+     *   stacked below this one
+     * @param {Clutter.Actor} [params.topmost] - child of the container the
+     *   clones stay below
+     */
+    constructor(container, monitor, {below = null, topmost = null} = {}) {
+        this._container = container;
+        this._monitor = monitor;
+        this._below = below;
+        this._topmost = topmost;
+        this._region = null;
+        this._clones = new Map();         // Meta.WindowActor → Clutter.Clone
+        this._actorSignals = new Map();   // Meta.WindowActor → [signal ids]
+        this._signalIds = [];
+        this._laterId = 0;
+
+        this._connectSignal(global.display, 'restacked',
+            () => this._queueSync());
+        this._connectSignal(global.display, 'window-created',
+            (display, window) => this._trackWindow(window));
+        this._connectSignal(global.workspace_manager, 'active-workspace-changed',
+            () => this._queueSync());
+
+        for (const actor of global.get_window_actors())
+            this._trackActor(actor);
+    }
+
+    /**
+     * Set the captured region in stage coordinates.  Only windows that
+     * overlap it are cloned.
+     */
+    setRegion(x, y, width, height) {
+        const r = this._region;
+        if (r && r.x === x && r.y === y && r.width === width && r.height === height)
+            return;
+
+        this._region = new Mtk.Rectangle({x, y, width, height});
+        this._queueSync();
+    }
+
+    destroy() {
+        if (this._laterId) {
+            global.compositor.get_laters().remove(this._laterId);
+            this._laterId = 0;
+        }
+
+        for (const {obj, id} of this._signalIds)
+            obj.disconnect(id);
+        this._signalIds = [];
+
+        for (const [actor, ids] of this._actorSignals) {
+            for (const id of ids)
+                actor.disconnect(id);
+        }
+        this._actorSignals.clear();
+
+        for (const clone of this._clones.values())
+            clone.destroy();
+        this._clones.clear();
+
+        this._container = null;
+    }
+
+    // ── Private ──
+
+    _trackWindow(window) {
+        const actor = window.get_compositor_private();
+        if (actor)
+            this._trackActor(actor);
+    }
+
+    _trackActor(actor) {
+        if (this._actorSignals.has(actor))
+            return;
+
+        // Moves and resizes only matter when they change which windows
+        // overlap the region; the sync below works that out.
+        this._actorSignals.set(actor, [
+            actor.connect('notify::allocation', () => this._queueSync()),
+            actor.connect('notify::visible', () => this._queueSync()),
+            actor.connect('destroy', () => this._untrackActor(actor)),
+        ]);
+        this._queueSync();
+    }
+
+    _untrackActor(actor) {
+        for (const id of this._actorSignals.get(actor) ?? [])
+            actor.disconnect(id);
+        this._actorSignals.delete(actor);
+
+        this._clones.get(actor)?.destroy();
+        this._clones.delete(actor);
+    }
+
+    _queueSync() {
+        if (this._laterId)
+            return;
+
+        this._laterId = global.compositor.get_laters().add(
+            Meta.LaterType.BEFORE_REDRAW, () => {
+                this._laterId = 0;
+                this._sync();
+                return false;
+            });
+    }
+
+    _isUnderRegion(actor) {
+        if (!this._region || !actor.visible)
+            return false;
+
+        const window = actor.get_meta_window();
+        if (!window || window.minimized || !window.showing_on_its_workspace())
+            return false;
+
+        const workspace = global.workspace_manager.get_active_workspace();
+        if (!window.located_on_workspace(workspace))
+            return false;
+
+        const [overlaps] = window.get_buffer_rect().intersect(this._region);
+        return overlaps;
+    }
+
+    _sync() {
+        if (!this._container)
+            return;
+
+        // global.get_window_actors() is in stacking order (bottom first)
+        const ordered = [];
+        let reachedTop = false;
+        for (const actor of global.get_window_actors()) {
+            reachedTop ||= actor === this._below;
+            if (reachedTop || !this._isUnderRegion(actor)) {
+                this._clones.get(actor)?.destroy();
+                this._clones.delete(actor);
+                continue;
+            }
+
+            let clone = this._clones.get(actor);
+            if (!clone) {
+                clone = new Clutter.Clone({source: actor});
+                this._container.add_child(clone);
+                this._clones.set(actor, clone);
+            }
+
+            clone.set_position(
+                actor.x - this._monitor.x,
+                actor.y - this._monitor.y);
+            ordered.push(clone);
+        }
+
+        // Raising each clone to the top (or right below `topmost`),
+        // bottom-most window first, keeps them above the wallpaper actor
+        // and in window stacking order
+        for (const clone of ordered) {
+            if (this._topmost)
+                this._container.set_child_below_sibling(clone, this._topmost);
+            else
+                this._container.set_child_above_sibling(clone, null);
+        }
+    }
+
+    _connectSignal(obj, signal, callback) {
+        const id = obj.connect(signal, callback);
+        this._signalIds.push({obj, id});
+    }
+}
@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Auto contrast for the panel: takes how bright the wallpaper under the
+// panel is (see wallpaper.js), then raises (or lowers) the tint's opacity
+// and, if that is not enough, switches the panel to dark text, until the
+// WCAG contrast ratio between the text and the glass reaches
+// 'min-contrast'.
+//
+// The tint is applied multiplicatively in the shader (col * mix(1, tint,
+// alpha)), so it can only darken: a dark tint helps light text, while dark
+// text needs the tint kept faint.
+
+import {parseColor, withAlpha} from './effect.js';
+import {luminance} from './wallpaper.js';
+
+export const DARK_TEXT_STYLE_CLASS = 'liquid-glass-dark-text';
+
+// Panel text luminance in the default (light text) and dark text styles
+const LIGHT_TEXT = 1.0;
+const DARK_TEXT = 0.0;
+
+export class PanelContrast {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {GlassTarget} target - panel target to keep readable
+     * @param {WallpaperSampler} sampler - measures the wallpaper under it
+     */
+    constructor(settings, target, sampler) {
+        this._settings = settings;
+        this._target = target;
+        this._sampler = sampler;
+        this._darkText = false;
+    }
+
+    destroy() {
+        this._setDarkText(false);
+    }
+
+    /**
+     * Adjust the panel's parameters (keyed by LiquidGlassEffect property)
+     * for readability.  Starts a measurement if none is available yet.
+     */
+    apply(params) {
+        // A suspended panel shows the theme's own background, and one over
+        // the overview's backdrop is not over the wallpaper
+        if (!this._settings.get_boolean('auto-contrast') || this._target.suspended ||
+            this._target.backdrop) {
+            this._setDarkText(false);
+            return params;
+        }
+
+        this._sampler.request();
+        const sample = this._sampler.sample;
+        if (!sample)
+            return params;
+
+        const [r, g, b, alpha] = parseColor(params.tintColor);
+        const {darkText, alpha: newAlpha} = solveContrast(sample.luminance,
+            luminance(r, g, b), alpha,
+            this._settings.get_double('min-contrast'));
+
+        this._setDarkText(darkText);
+        return {...params, tintColor: withAlpha(params.tintColor, newAlpha)};
+    }
+
+    // ── Private ──
+
+    _setDarkText(dark) {
+        if (dark === this._darkText)
+            return;
+        this._darkText = dark;
+
+        const actor = this._target.actor;
+        if (dark)
+            actor.add_style_class_name(DARK_TEXT_STYLE_CLASS);
+        else
+            actor.remove_style_class_name(DARK_TEXT_STYLE_CLASS);
+    }
+}
+
+/**
+ * Pick the text style and tint opacity for a glass over a background of
+ * luminance `bg`, starting from opacity `alpha` of a tint of luminance
+ * `tint`, so that the contrast ratio reaches `minRatio` if possible.
+ *
+ * @returns {{darkText: boolean, alpha: number}}
+ */
+export function solveContrast(bg, tint, alpha, minRatio) {
+    // Glass luminance at tint opacity a
+    const glass = a => bg * (1 - a * (1 - tint));
+
+    // Brightest glass light text can sit on, darkest for dark text
+    const maxForLight = (LIGHT_TEXT + 0.05) / minRatio - 0.05;
+    const minForDark = (DARK_TEXT + 0.05) * minRatio - 0.05;
+
+    if (glass(alpha) <= maxForLight)
+        return {darkText: false, alpha};
+
+    // Stronger tint until light text is readable
+    if (tint < 1 && bg > 0) {
+        const needed = (1 - maxForLight / bg) / (1 - tint);
+        if (needed <= 1)
+            return {darkText: false, alpha: Math.max(alpha, needed)};
+    }
+
+    if (glass(alpha) >= minForDark)
+        return {darkText: true, alpha};
+
+    // Fainter tint until dark text is readable
+    if (tint < 1 && bg > 0) {
+        const allowed = (1 - minForDark / bg) / (1 - tint);
+        if (allowed >= 0)
+            return {darkText: true, alpha: Math.min(alpha, allowed)};
+    }
+
+    // Unreachable either way: take whichever gets closer
+    const lightRatio = (LIGHT_TEXT + 0.05) / (glass(1) + 0.05);
+    const darkRatio = (glass(0) + 0.05) / (DARK_TEXT + 0.05);
+    return lightRatio >= darkRatio
+        ? {darkText: false, alpha: 1}
+        : {darkText: true, alpha: 0};
+}
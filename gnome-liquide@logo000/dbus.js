@@ -0,0 +1,273 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// D-Bus interface for session scripts and other extensions, exported on the
+// shell's session bus connection (so under the org.gnome.Shell name):
+//
+//   gdbus call --session --dest org.gnome.Shell \
+//     --object-path /org/gnome/Shell/Extensions/GnomeLiquide \
+//     --method org.gnome.Shell.Extensions.GnomeLiquide.ApplyPreset crystal
+//
+// Parameters are keyed by GSettings key, as in presets and profiles, and
+// are written to GSettings, so prefs and every surface follow them.  With
+// adaptive tinting they carry its light and dark values as well, see
+// presets.js.
+// Suspend() is not saved: the glass stays off until Resume() or until the
+// extension is disabled, also across the lock screen (see extension.js).
+//
+// Parameters and Preset change with the settings, from whichever side;
+// Suspended, Quality and WallpaperTint with the state of PanelGlass.  Each
+// batch of changes is announced in one PropertiesChanged per property.
+// WallpaperTint is the color the primary panel blends with the wallpaper
+// (see WallpaperTint), '' while that is off; prefs.js shows it.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {SHADER_PARAMS, paramSpec} from './params.js';
+import {
+    ADAPTIVE_KEYS, PRESET_KEYS, applyParams, applyPreset, findPreset,
+    listPresets, matchPreset, readPresetParams
+} from './presets.js';
+import {validateParams} from './profile.js';
+
+export const BUS_NAME = 'org.gnome.Shell';
+export const OBJECT_PATH = '/org/gnome/Shell/Extensions/GnomeLiquide';
+
+const INTERFACE_XML = `
+<node>
+  <interface name="org.gnome.Shell.Extensions.GnomeLiquide">
+    <method name="GetParameters">
+      <arg type="a{sv}" direction="out" name="params"/>
+    </method>
+    <method name="SetParameters">
+      <arg type="a{sv}" direction="in" name="params"/>
+    </method>
+    <method name="ListPresets">
+      <arg type="a(ss)" direction="out" name="presets"/>
+    </method>
+    <method name="ApplyPreset">
+      <arg type="s" direction="in" name="preset"/>
+    </method>
+    <method name="Suspend"/>
+    <method name="Resume"/>
+    <method name="GetStatus">
+      <arg type="a{sv}" direction="out" name="status"/>
+    </method>
+    <property name="Parameters" type="a{sv}" access="read"/>
+    <property name="Preset" type="s" access="read"/>
+    <property name="Suspended" type="b" access="read"/>
+    <property name="Quality" type="s" access="read"/>
+    <property name="WallpaperTint" type="s" access="read"/>
+  </interface>
+</node>`;
+
+/**
+ * Client side of the interface, for the preferences:
+ * new GlassProxy(Gio.DBus.session, BUS_NAME, OBJECT_PATH, callback).
+ */
+export const GlassProxy = Gio.DBusProxy.makeProxyWrapper(INTERFACE_XML);
+
+/**
+ * Pack the values of parameters (keyed by GSettings key) for an a{sv}.
+ */
+function packParams(params) {
+    const packed = {};
+    for (const [key, value] of Object.entries(params))
+        packed[key] = new GLib.Variant(paramSpec(key).type, value);
+    return packed;
+}
+
+export class GlassDBus {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {PanelGlass} panelGlass - the glass being scripted
+     */
+    constructor(settings, panelGlass) {
+        this._settings = settings;
+        this._panelGlass = panelGlass;
+        this._dbusImpl = null;
+        this._pending = new Set();   // names of changed properties
+        this._notifyId = 0;
+        this._suspended = false;
+        this._quality = null;
+        this._wallpaperTint = null;
+        this._settingSignalIds = [];
+    }
+
+    enable() {
+        this._suspended = this._panelGlass.suspended;
+        this._quality = this._panelGlass.quality;
+        this._wallpaperTint = this.WallpaperTint;
+
+        for (const key of [...PRESET_KEYS, ...ADAPTIVE_KEYS, 'custom-presets']) {
+            this._settingSignalIds.push(this._settings.connect(
+                `changed::${key}`, () => this._queueNotify('Parameters', 'Preset')));
+        }
+
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+        this._dbusImpl.export(Gio.DBus.session, OBJECT_PATH);
+    }
+
+    disable() {
+        this._dbusImpl?.unexport();
+        this._dbusImpl = null;
+
+        if (this._notifyId)
+            GLib.source_remove(this._notifyId);
+        this._notifyId = 0;
+        this._pending.clear();
+
+        for (const id of this._settingSignalIds)
+            this._settings.disconnect(id);
+        this._settingSignalIds = [];
+    }
+
+    /**
+     * Announce the PanelGlass state properties that changed.
+     */
+    syncStatus() {
+        const suspended = this._panelGlass.suspended;
+        if (suspended !== this._suspended) {
+            this._suspended = suspended;
+            this._queueNotify('Suspended');
+        }
+
+        const quality = this._panelGlass.quality;
+        if (quality !== this._quality) {
+            this._quality = quality;
+            this._queueNotify('Quality');
+        }
+
+        const wallpaperTint = this.WallpaperTint;
+        if (wallpaperTint !== this._wallpaperTint) {
+            this._wallpaperTint = wallpaperTint;
+            this._queueNotify('WallpaperTint');
+        }
+    }
+
+    // ── D-Bus methods ──
+
+    GetParameters() {
+        return this.Parameters;
+    }
+
+    SetParametersAsync([params], invocation) {
+        const raw = {};
+        for (const [key, value] of Object.entries(params))
+            raw[key] = value.recursiveUnpack();
+
+        let valid;
+        try {
+            valid = validateParams(this._settings, raw);
+        } catch (e) {
+            invocation.return_error_literal(Gio.DBusError,
+                Gio.DBusError.INVALID_ARGS, e.message);
+            return;
+        }
+
+        applyParams(this._settings, valid);
+        invocation.return_value(null);
+    }
+
+    ListPresets() {
+        return listPresets(this._settings).map(({id, name}) => [id, name]);
+    }
+
+    ApplyPresetAsync([idOrName], invocation) {
+        const preset = findPreset(this._settings, idOrName);
+        if (!preset) {
+            invocation.return_error_literal(Gio.DBusError,
+                Gio.DBusError.INVALID_ARGS, `No preset "${idOrName}"`);
+            return;
+        }
+
+        applyPreset(this._settings, preset);
+        invocation.return_value(null);
+    }
+
+    Suspend() {
+        this._panelGlass.suspended = true;
+    }
+
+    Resume() {
+        this._panelGlass.suspended = false;
+    }
+
+    GetStatus() {
+        const targets = [];
+        for (const target of this._panelGlass.targets) {
+            const effectParams = target.params;
+            if (!effectParams)
+                continue;
+
+            // Effect properties back to GSettings keys
+            const params = {};
+            for (const {key, prop} of SHADER_PARAMS)
+                params[key] = effectParams[prop];
+
+            targets.push({
+                'name': new GLib.Variant('s', target.name),
+                'surface': new GLib.Variant('s', target.surface),
+                'monitor': new GLib.Variant('i', target.monitorIndex),
+                'suspended': new GLib.Variant('b', target.suspended),
+                'shader': new GLib.Variant('s', target.effect.quality),
+                'params': new GLib.Variant('a{sv}', packParams(params)),
+            });
+        }
+
+        return {
+            'suspended': new GLib.Variant('b', this._panelGlass.suspended),
+            'quality': new GLib.Variant('s', this._panelGlass.quality),
+            'preset': new GLib.Variant('s', this.Preset),
+            'wallpaper-tint': new GLib.Variant('s', this.WallpaperTint),
+            'targets': new GLib.Variant('aa{sv}', targets),
+        };
+    }
+
+    // ── D-Bus properties ──
+
+    get Parameters() {
+        return packParams(readPresetParams(this._settings));
+    }
+
+    /**
+     * Id of the preset the settings match, or '' for a custom look.
+     */
+    get Preset() {
+        return matchPreset(this._settings)?.id ?? '';
+    }
+
+    get Suspended() {
+        return this._panelGlass.suspended;
+    }
+
+    get Quality() {
+        return this._panelGlass.quality;
+    }
+
+    get WallpaperTint() {
+        return this._panelGlass.wallpaperTint ?? '';
+    }
+
+    // ── Private ──
+
+    // A preset writes every key at once; announce it once, on idle
+    _queueNotify(...names) {
+        for (const name of names)
+            this._pending.add(name);
+        if (this._notifyId || !this._dbusImpl)
+            return;
+
+        this._notifyId = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+            this._notifyId = 0;
+            const info = this._dbusImpl.get_info();
+            for (const name of this._pending) {
+                const {signature} = info.lookup_property(name);
+                this._dbusImpl.emit_property_changed(name,
+                    new GLib.Variant(signature, this[name]));
+            }
+            this._pending.clear();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+}
@@ -3,19 +3,33 @@
 // Clutter.ShaderEffect subclass for the Liquid Glass refraction effect.
 // Uses set_shader_source() pattern (same approach as blur-my-shell) to avoid
 // Clutter.ShaderType enum accessibility issues in GNOME 48.
+//
+// GlassCacheEffect keeps the finished glass around, see below.
 
 import Clutter from 'gi://Clutter';
 import GObject from 'gi://GObject';
 
-import {FRAGMENT_SHADER, TEST_SHADER} from './shader.js';
+import {
+    BAND_FADE_SHADER, CORNER_UNIFORMS, DEFAULT_LIGHT, TEST_SHADER,
+    buildFragmentShader, paramUniforms
+} from './shader.js';
 
 // Set to true to use a minimal red-tint shader for pipeline debugging
 const USE_TEST_SHADER = false;
 
+// Wrap the wave clock so float precision in the shader stays good (s)
+const WAVE_TIME_WRAP = 3600.0;
+
+// Parameters easeParams() interpolates; tintColor is eased as well
+const EASED_PARAMS = [
+    'ior', 'ca', 'dist', 'cr', 'fres', 'specular', 'sharpness', 'thickness',
+    'bevel', 'abbe', 'kernel',
+];
+
 /**
  * Parse a hex color string (#RRGGBBAA or #RRGGBB) to [r, g, b, a] in 0-1.
  */
-function parseColor(hex) {
+export function parseColor(hex) {
     hex = hex.replace('#', '');
     const r = parseInt(hex.substring(0, 2), 16) / 255;
     const g = parseInt(hex.substring(2, 4), 16) / 255;
@@ -24,6 +38,22 @@ function parseColor(hex) {
     return [r, g, b, a];
 }
 
+/**
+ * Format [r, g, b, a] in 0-1 as #rrggbbaa, the inverse of parseColor().
+ */
+export function formatColor(rgba) {
+    return `#${rgba.map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255)
+        .toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * The hex color `hex` with its alpha replaced by `alpha` (0-1).
+ */
+export function withAlpha(hex, alpha) {
+    const a = Math.round(Math.min(Math.max(alpha, 0), 1) * 255);
+    return `${hex.substring(0, 7)}${a.toString(16).padStart(2, '0')}`;
+}
+
 export const LiquidGlassEffect = GObject.registerClass({
     GTypeName: 'LiquidGlassEffect',
 }, class LiquidGlassEffect extends Clutter.ShaderEffect {
@@ -32,17 +62,53 @@ export const LiquidGlassEffect = GObject.registerClass({
         // Don't pass shader_type — default is FRAGMENT_SHADER
         super._init();
 
-        // Set shader source (blur-my-shell pattern)
-        this.set_shader_source(USE_TEST_SHADER ? TEST_SHADER : FRAGMENT_SHADER);
+        // Set shader source (blur-my-shell pattern).  Clutter only takes
+        // the source once, so switching tiers or spectral dispersion means
+        // a new effect.
+        this._quality = params.quality ?? 'balanced';
+        this.set_shader_source(USE_TEST_SHADER
+            ? TEST_SHADER
+            : buildFragmentShader(this._quality, {spectral: params.spectral}));
 
         // Uniform values
         this._ior = params.ior ?? 1.45;
         this._ca = params.ca ?? 0.008;
         this._dist = params.dist ?? 0.8;
         this._cr = params.cr ?? 12.0;
+        this._shape = params.shape ?? 'rounded';
+        this._corners = params.corners ?? CORNER_UNIFORMS.map(([name]) => name);
         this._fres = params.fres ?? 0.25;
-        this._blur = params.blur ?? 2.0;
+        this._thickness = params.thickness ?? 1.0;
+        this._bevel = params.bevel ?? 0.0;
+        this._abbe = params.abbe ?? 0.0;
+        this._specular = params.specular ?? 0.45;
+        this._sharpness = params.sharpness ?? 80.0;
+        this._light = params.light ?? DEFAULT_LIGHT;
+        this._drift = params.drift ?? false;
         this._tint = params.tint ?? [1.0, 1.0, 1.0, 0.8];
+        this._tintHex = null;
+        this._scale = params.scale ?? 1.0;   // monitor geometry scale
+        this._wave = params.wave ?? 0.0;
+        this._waveSpeed = params.waveSpeed ?? 1.0;
+        this._kernel = params.kernel ?? 0.0;  // in-shader blur, see blurStages
+
+        // Wave animation clock, driven by the actor's frame clock.  The
+        // timeline only exists while the wave or the light drift is on
+        // and not paused.
+        this._time = 0.0;
+        this._timeDirty = true;
+        this._paused = false;
+        this._timeline = null;
+        this._timelineId = 0;
+
+        // Running easeParams() transition: {timeline, ids, to}
+        this._ease = null;
+
+        // Lens size; 0 means "use the actor's size" (see setLensSize)
+        this._lensW = 0;
+        this._lensH = 0;
+        this._inset = 0;
+        this._shadow = params.shadow ?? 0.0;
 
         // Dirty tracking: skip set_uniform_value when nothing changed
         this._dirty = true;      // all uniforms need initial upload
@@ -50,13 +116,155 @@ export const LiquidGlassEffect = GObject.registerClass({
         this._lastH = -1;
     }
 
+    /**
+     * Set the size of the visible lens.  The offscreen texture only covers
+     * the actor's clip, so a clipped actor must describe the clip here for
+     * the shader's pixel coordinates to line up.
+     *
+     * @param {number} [inset] - margin between the clip and the lens, where
+     *   the drop shadow is drawn (floating panel)
+     */
+    setLensSize(width, height, inset = 0) {
+        if (width === this._lensW && height === this._lensH &&
+            inset === this._inset)
+            return;
+        this._lensW = width;
+        this._lensH = height;
+        this._inset = inset;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    /**
+     * Move to new parameter values over `duration` ms instead of jumping.
+     * Takes the same keys as the property setters; those that cannot be
+     * interpolated switch at once.
+     *
+     * A transition still running is taken over from where it is, heading
+     * for its own end values merged with the new ones, so a quick series
+     * of changes (a spin button held down) glides instead of stuttering.
+     *
+     * An Abbe number of 0 selects the other dispersion model (see
+     * dispersionSpread), so `abbe` switches at once to or from 0.
+     */
+    easeParams(params, duration) {
+        const to = this._cancelEase();
+        for (const [prop, value] of Object.entries(params)) {
+            if (prop === 'tintColor') {
+                if (value === this._tintHex)
+                    continue;
+                this._tintHex = value;
+                to.tint = parseColor(value);
+            } else if (prop === 'abbe' && (value === 0 || (to.abbe ?? this._abbe) === 0)) {
+                delete to.abbe;
+                this.abbe = value;
+            } else if (EASED_PARAMS.includes(prop)) {
+                to[prop] = value;
+            } else {
+                this[prop] = value;
+            }
+        }
+
+        const from = {};
+        for (const [prop, end] of Object.entries(to)) {
+            const current = this[`_${prop}`];
+            const same = prop === 'tint'
+                ? end.every((c, i) => c === current[i])
+                : end === current;
+            if (same)
+                delete to[prop];
+            else
+                from[prop] = current;
+        }
+
+        if (Object.keys(to).length === 0)
+            return;
+
+        // Nothing to see while unmapped, and no frame clock to drive it
+        const actor = this.get_actor();
+        if (!actor?.mapped || duration <= 0) {
+            this._setEased(to);
+            return;
+        }
+
+        // A bevel of 0 curves all of the glass: ease from or to the width
+        // that does the same, and land on 0 when done
+        const ends = {...to};
+        if ('bevel' in to) {
+            from.bevel = this._bevelWidth(from.bevel);
+            ends.bevel = this._bevelWidth(to.bevel);
+        }
+
+        const timeline = new Clutter.Timeline({actor, duration});
+        timeline.set_progress_mode(Clutter.AnimationMode.EASE_IN_OUT_QUAD);
+        const ids = [
+            timeline.connect('new-frame', () => {
+                const t = timeline.get_progress();
+                const values = {};
+                for (const [prop, end] of Object.entries(ends)) {
+                    values[prop] = prop === 'tint'
+                        ? end.map((c, i) => from.tint[i] + (c - from.tint[i]) * t)
+                        : from[prop] + (end - from[prop]) * t;
+                }
+                this._setEased(values);
+            }),
+            timeline.connect('completed', () => this.stopEase()),
+        ];
+        this._ease = {timeline, ids, to};
+        timeline.start();
+    }
+
+    /**
+     * Finish a running easeParams() transition at its end values.
+     */
+    stopEase() {
+        if (this._ease)
+            this._setEased(this._cancelEase());
+    }
+
+    /**
+     * The shader tier this effect was built with, or 'test' for the
+     * pipeline test shader.
+     */
+    get quality() {
+        return USE_TEST_SHADER ? 'test' : this._quality;
+    }
+
+    /**
+     * The shader parameters in effect, keyed like the property setters.
+     * While easeParams() runs, the values it is heading for.
+     */
+    get params() {
+        const to = this._ease?.to ?? {};
+        const params = {};
+        for (const prop of EASED_PARAMS)
+            params[prop] = to[prop] ?? this[`_${prop}`];
+
+        return {
+            ...params,
+            shape: this._shape,
+            corners: [...this._corners],
+            tintColor: formatColor(to.tint ?? this._tint),
+            wave: this._wave,
+            waveSpeed: this._waveSpeed,
+        };
+    }
+
+    vfunc_set_actor(actor) {
+        // The timelines are bound to the old actor's frame clock
+        this.stopEase();
+        this._stopTimeline();
+        super.vfunc_set_actor(actor);
+        this._syncTimeline();
+    }
+
     vfunc_paint_target(node, paintContext) {
         const actor = this.get_actor();
         if (!actor)
             return;
 
-        const w = actor.get_width();
-        const h = actor.get_height();
+        const w = this._lensW > 0 ? this._lensW : actor.get_width();
+        const h = this._lensH > 0 ? this._lensH : actor.get_height();
 
         // Skip rendering when actor has no size (startup race)
         if (w <= 0 || h <= 0)
@@ -74,19 +282,40 @@ export const LiquidGlassEffect = GObject.registerClass({
 
         // Only push shader-parameter uniforms when a setting changed
         if (this._dirty) {
-            this.set_uniform_value('u_ior', parseFloat(this._ior - 1e-6));
-            this.set_uniform_value('u_ca', parseFloat(this._ca - 1e-6));
-            this.set_uniform_value('u_dist', parseFloat(this._dist - 1e-6));
-            this.set_uniform_value('u_cr', parseFloat(this._cr - 1e-6));
-            this.set_uniform_value('u_fres', parseFloat(this._fres - 1e-6));
-            this.set_uniform_value('u_blur', parseFloat(this._blur - 1e-6));
-            this.set_uniform_value('u_tint_r', parseFloat(this._tint[0] - 1e-6));
-            this.set_uniform_value('u_tint_g', parseFloat(this._tint[1] - 1e-6));
-            this.set_uniform_value('u_tint_b', parseFloat(this._tint[2] - 1e-6));
-            this.set_uniform_value('u_tint_a', parseFloat(this._tint[3] - 1e-6));
+            const uniforms = paramUniforms({
+                ior: this._ior,
+                ca: this._ca,
+                dist: this._dist,
+                cr: this._cr,
+                shape: this._shape,
+                corners: this._corners,
+                fres: this._fres,
+                thickness: this._thickness,
+                bevel: this._bevel,
+                abbe: this._abbe,
+                specular: this._specular,
+                sharpness: this._sharpness,
+                light: this._light,
+                drift: this._drift,
+                tint: this._tint,
+                scale: this._scale,
+                inset: this._inset,
+                shadow: this._shadow,
+                wave: this._wave,
+                kernel: this._kernel,
+            });
+            for (const [name, value] of Object.entries(uniforms))
+                this.set_uniform_value(name, parseFloat(value - 1e-6));
             this._dirty = false;
         }
 
+        // The wave clock advances every frame while animating, so it is
+        // tracked separately from the other uniforms
+        if (this._timeDirty) {
+            this.set_uniform_value('u_time', parseFloat(this._time - 1e-6));
+            this._timeDirty = false;
+        }
+
         super.vfunc_paint_target(node, paintContext);
     }
 
@@ -120,6 +349,23 @@ export const LiquidGlassEffect = GObject.registerClass({
         this.queue_repaint();
     }
 
+    set shape(v) {
+        if (v === this._shape) return;
+        this._shape = v;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    /**
+     * Names of the corners that get the corner radius, see CORNER_UNIFORMS.
+     */
+    set corners(v) {
+        if (v.join() === this._corners.join()) return;
+        this._corners = [...v];
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
     set fres(v) {
         if (v === this._fres) return;
         this._fres = v;
@@ -127,16 +373,262 @@ export const LiquidGlassEffect = GObject.registerClass({
         this.queue_repaint();
     }
 
-    set blur(v) {
-        if (v === this._blur) return;
-        this._blur = v;
+    /**
+     * Height of the dome, 1 for the default one.
+     */
+    set thickness(v) {
+        if (v === this._thickness) return;
+        this._thickness = v;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    /**
+     * Width of the curved rim (px), 0 to curve the whole glass.
+     */
+    set bevel(v) {
+        if (v === this._bevel) return;
+        this._bevel = v;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    /**
+     * Abbe number of the glass, 0 to take the dispersion from `ca`.
+     */
+    set abbe(v) {
+        if (v === this._abbe) return;
+        this._abbe = v;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    /**
+     * Opacity of the drop shadow in the setLensSize() inset.
+     */
+    set shadow(v) {
+        if (v === this._shadow) return;
+        this._shadow = v;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    set specular(v) {
+        if (v === this._specular) return;
+        this._specular = v;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    set sharpness(v) {
+        if (v === this._sharpness) return;
+        this._sharpness = v;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    /**
+     * Light direction as [x, y] over z = 1, see DEFAULT_LIGHT.
+     */
+    set light(v) {
+        if (v[0] === this._light[0] && v[1] === this._light[1]) return;
+        this._light = [...v];
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    /**
+     * Slowly circle the light on the wave clock.
+     */
+    set drift(v) {
+        if (v === this._drift) return;
+        this._drift = v;
+        this._dirty = true;
+        this._syncTimeline();
+        this.queue_repaint();
+    }
+
+    /**
+     * Radius (px) of the shader's blur kernel, 0 without one.  Only the
+     * High tier has a kernel; the others ignore it.
+     */
+    set kernel(v) {
+        if (v === this._kernel) return;
+        this._kernel = v;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    set scale(v) {
+        if (v === this._scale) return;
+        this._scale = v;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    set wave(v) {
+        if (v === this._wave) return;
+        this._wave = v;
         this._dirty = true;
+        this._syncTimeline();
         this.queue_repaint();
     }
 
+    set waveSpeed(v) {
+        this._waveSpeed = v;
+    }
+
+    /**
+     * Stop the wave clock (idle, locked, fullscreen) without losing its
+     * phase; the glass keeps showing the last frame.
+     */
+    set paused(v) {
+        if (v === this._paused) return;
+        this._paused = v;
+        this._syncTimeline();
+    }
+
     set tintColor(hex) {
+        if (hex === this._tintHex) return;
+        this._tintHex = hex;
         this._tint = parseColor(hex);
         this._dirty = true;
         this.queue_repaint();
     }
+
+    // Stop a running transition where it is; returns the end values it
+    // was heading for
+    _cancelEase() {
+        if (!this._ease)
+            return {};
+
+        const {timeline, ids, to} = this._ease;
+        this._ease = null;
+        for (const id of ids)
+            timeline.disconnect(id);
+        timeline.stop();
+        return {...to};
+    }
+
+    // The rim width a bevel of `bevel` px curves, all of the lens for 0
+    _bevelWidth(bevel) {
+        if (bevel > 0.5)
+            return bevel;
+
+        const actor = this.get_actor();
+        const w = this._lensW > 0 ? this._lensW : actor.get_width();
+        const h = this._lensH > 0 ? this._lensH : actor.get_height();
+        return Math.max(w, h) / 2;
+    }
+
+    _setEased(values) {
+        for (const [prop, value] of Object.entries(values))
+            this[`_${prop}`] = value;
+        this._dirty = true;
+        this.queue_repaint();
+    }
+
+    // ── Wave clock ──
+
+    _syncTimeline() {
+        const actor = this.get_actor();
+        const animate = actor && (this._wave > 0 || this._drift) && !this._paused;
+
+        if (!animate) {
+            this._stopTimeline();
+            return;
+        }
+        if (this._timeline)
+            return;
+
+        this._timeline = new Clutter.Timeline({
+            actor,
+            duration: 1000,
+            repeat_count: -1,
+        });
+        this._timelineId = this._timeline.connect('new-frame', () => {
+            const dt = this._timeline.get_delta() / 1000;
+            this._time = (this._time + dt * this._waveSpeed) % WAVE_TIME_WRAP;
+            this._timeDirty = true;
+            this.queue_repaint();
+        });
+        this._timeline.start();
+    }
+
+    _stopTimeline() {
+        if (!this._timeline)
+            return;
+
+        this._timeline.disconnect(this._timelineId);
+        this._timeline.stop();
+        this._timeline = null;
+        this._timelineId = 0;
+    }
+});
+
+/**
+ * Holds the rendered glass so repaints that change nothing underneath
+ * (clock ticks and indicator updates in the panel above it) cost a
+ * texture blit instead of a shader pass.
+ *
+ * Add it before LiquidGlassEffect so it wraps it.  Clutter only re-renders
+ * an offscreen effect when its actor is dirty: on a new size or clip, a
+ * redraw from inside (a new wallpaper, live window clones), or a repaint
+ * queued by a later effect, which is what LiquidGlassEffect does whenever
+ * a uniform changes.
+ */
+export const GlassCacheEffect = GObject.registerClass({
+    GTypeName: 'LiquidGlassCacheEffect',
+}, class GlassCacheEffect extends Clutter.OffscreenEffect {});
+
+/**
+ * Makes a band of its actor see-through, so glass drawn behind the actor
+ * shows there (a window's titlebar, see windows.js).
+ *
+ * `region` returns the band as {x, y, width, height} in actor pixels, or
+ * null for none.  It is asked on every paint, so the band follows resizes
+ * without being told.  The offscreen texture is taken to match the actor's
+ * box, which holds for client-side decorated windows: their shadows are
+ * part of the buffer.
+ */
+export const BandFadeEffect = GObject.registerClass({
+    GTypeName: 'LiquidGlassBandFadeEffect',
+}, class BandFadeEffect extends Clutter.ShaderEffect {
+    _init({region, opacity = 0.6}) {
+        super._init();
+        this.set_shader_source(BAND_FADE_SHADER);
+
+        this._region = region;
+        this._opacity = opacity;
+    }
+
+    /**
+     * What is left of the band: 0 = fully see-through, 1 = untouched.
+     */
+    set opacity(v) {
+        if (v === this._opacity) return;
+        this._opacity = v;
+        this.queue_repaint();
+    }
+
+    vfunc_paint_target(node, paintContext) {
+        const actor = this.get_actor();
+        if (!actor)
+            return;
+
+        const band = this._region() ?? {x: 0, y: 0, width: 0, height: 0};
+        const uniforms = {
+            width: actor.get_width(),
+            height: actor.get_height(),
+            u_band_x: band.x,
+            u_band_y: band.y,
+            u_band_w: band.width,
+            u_band_h: band.height,
+            u_opacity: this._opacity,
+        };
+        for (const [name, value] of Object.entries(uniforms))
+            this.set_uniform_value(name, parseFloat(value - 1e-6));
+
+        super.vfunc_paint_target(node, paintContext);
+    }
 });
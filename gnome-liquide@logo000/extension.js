@@ -1,18 +1,83 @@
 // SPDX-License-Identifier: GPL-3.0-or-later
 import {Extension} from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
+import {GlassDBus} from './dbus.js';
+import {LockGlass} from './lock.js';
 import {PanelGlass} from './panel.js';
 
 export default class GnomeLiquideExtension extends Extension {
     enable() {
         this._settings = this.getSettings();
-        this._panelGlass = new PanelGlass(this._settings);
-        this._panelGlass.enable();
+        this._lockGlass = new LockGlass(this._settings);
+        this._suspended = false;
+        this._sessionModeId = Main.sessionMode.connect('updated',
+            () => this._syncSessionMode());
+        this._syncSessionMode();
     }
 
     disable() {
+        if (this._sessionModeId)
+            Main.sessionMode.disconnect(this._sessionModeId);
+        this._sessionModeId = 0;
+
+        this._disableDesktop();
+        this._disableLock();
+        this._lockGlass = null;
+        this._settings = null;
+    }
+
+    // ── Private ──
+
+    // The extension stays enabled in 'unlock-dialog' mode, where only the
+    // lock screen has glass: the desktop surfaces and the D-Bus interface
+    // are torn down until the session unlocks.  Whether the glass is
+    // suspended over D-Bus is kept here meanwhile.
+    _syncSessionMode() {
+        if (Main.sessionMode.isLocked) {
+            this._disableDesktop();
+            this._enableLock();
+        } else {
+            this._disableLock();
+            this._enableDesktop();
+        }
+    }
+
+    _enableDesktop() {
+        if (this._panelGlass)
+            return;
+
+        this._panelGlass = new PanelGlass(this._settings,
+            () => this._dbus?.syncStatus());
+        this._panelGlass.suspended = this._suspended;
+        this._panelGlass.enable();
+        this._dbus = new GlassDBus(this._settings, this._panelGlass);
+        this._dbus.enable();
+    }
+
+    _disableDesktop() {
+        if (this._panelGlass)
+            this._suspended = this._panelGlass.suspended;
+
+        this._dbus?.disable();
+        this._dbus = null;
         this._panelGlass?.disable();
         this._panelGlass = null;
-        this._settings = null;
+    }
+
+    _enableLock() {
+        if (this._lockEnabled)
+            return;
+
+        this._lockGlass.enable();
+        this._lockEnabled = true;
+    }
+
+    _disableLock() {
+        if (!this._lockEnabled)
+            return;
+
+        this._lockGlass.disable();
+        this._lockEnabled = false;
     }
 }
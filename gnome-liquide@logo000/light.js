@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Where the specular highlight's light comes from.  With
+// 'highlight-follow-pointer' on, the light of each glass surface leans
+// toward the mouse pointer while it is within NEAR_DISTANCE of the
+// surface; further away the light stays where it was, so pointer motion
+// elsewhere on screen repaints nothing.  'highlight-drift' lets the light
+// circle slowly on the wave clock (see LiquidGlassEffect).
+//
+// The pointer is polled through the shell's PointerWatcher, which stops
+// polling while the user is idle.
+
+import * as PointerWatcher from 'resource:///org/gnome/shell/ui/pointerWatcher.js';
+
+import {DEFAULT_LIGHT} from './shader.js';
+
+// Pointer polling interval (ms)
+const POINTER_INTERVAL = 16;
+
+// How close the pointer must be to a surface to move its light (px)
+const NEAR_DISTANCE = 120;
+
+// Light offset at the surface's edge, in half-sizes from its centre
+const LIGHT_REACH = 0.75;
+
+// Longest light offset, so the highlight stays on the glass
+const MAX_LIGHT = 1.2;
+
+export class LightMonitor {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {Function} onChanged - called when the pointer moved or a
+     *   light setting changed
+     */
+    constructor(settings, onChanged) {
+        this._settings = settings;
+        this._onChanged = onChanged;
+        this._watch = null;
+        this._pointer = null;
+        this._settingSignalIds = [];
+    }
+
+    enable() {
+        for (const key of ['highlight-follow-pointer', 'highlight-drift']) {
+            this._settingSignalIds.push(this._settings.connect(
+                `changed::${key}`, () => this._sync()));
+        }
+        this._syncWatch();
+    }
+
+    disable() {
+        this._watch?.remove();
+        this._watch = null;
+        this._pointer = null;
+
+        for (const id of this._settingSignalIds)
+            this._settings.disconnect(id);
+        this._settingSignalIds = [];
+    }
+
+    /**
+     * Whether the light should drift on its own.
+     */
+    get drift() {
+        return this._settings.get_boolean('highlight-drift');
+    }
+
+    /**
+     * The light direction for a surface at the given stage box, or null to
+     * keep its current one (the pointer is too far away).
+     */
+    lightFor(x, y, width, height) {
+        if (!this._pointer)
+            return DEFAULT_LIGHT;
+
+        const [px, py] = this._pointer;
+        if (px < x - NEAR_DISTANCE || px > x + width + NEAR_DISTANCE ||
+            py < y - NEAR_DISTANCE || py > y + height + NEAR_DISTANCE)
+            return null;
+
+        // Offset from the centre in half-sizes: the highlight sits on the
+        // side of the dome facing the pointer
+        let lx = (px - x - width / 2) / (width / 2) * LIGHT_REACH;
+        let ly = (py - y - height / 2) / (height / 2) * LIGHT_REACH;
+        const length = Math.hypot(lx, ly);
+        if (length > MAX_LIGHT) {
+            lx *= MAX_LIGHT / length;
+            ly *= MAX_LIGHT / length;
+        }
+        return [lx, ly];
+    }
+
+    // ── Private ──
+
+    _sync() {
+        this._syncWatch();
+        this._onChanged();
+    }
+
+    _syncWatch() {
+        const follow = this._settings.get_boolean('highlight-follow-pointer');
+        if (follow === !!this._watch)
+            return;
+
+        if (!follow) {
+            this._watch.remove();
+            this._watch = null;
+            this._pointer = null;
+            return;
+        }
+
+        const [x, y] = global.get_pointer();
+        this._pointer = [x, y];
+        this._watch = PointerWatcher.getPointerWatcher().addWatch(
+            POINTER_INTERVAL, (px, py) => {
+                this._pointer = [px, py];
+                this._onChanged();
+            });
+    }
+}
@@ -0,0 +1,228 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Glass on the lock screen, toggled by 'apply-to-lock-screen'.  The unlock
+// dialog gets three targets: its clock, the notifications under it and the
+// unlock prompt that replaces both once the user starts to type.  They use
+// the 'lock' surface, so 'lock-custom-params' gives them their own
+// parameter set (lock-*), and refract the desktop background dimmed and
+// blurred the way the unlock dialog draws it behind them.
+//
+// The unlock dialog is created each time the screen locks and destroyed on
+// unlock, so it is picked up from the screen shield as it appears.  No
+// windows are cloned here whatever the capture mode: the lock screen must
+// not show what is behind it.
+//
+// The screen shield's dialog group and the dialog's parts are private
+// members of the shell.  Each is looked up defensively and a part that is
+// missing simply gets no glass.  The clock and the prompt share a
+// Shell.Stack, which would stretch the glass to its size, so the glass
+// goes into the dialog itself, which places its children freely.
+//
+// Settings changes are eased over 'transition-duration', like on the
+// desktop (see PanelGlass).
+//
+// The extension enables this instead of PanelGlass while the session mode
+// is 'unlock-dialog' (see extension.js).
+
+import Clutter from 'gi://Clutter';
+import Meta from 'gi://Meta';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import {UnlockDialog} from 'resource:///org/gnome/shell/ui/unlockDialog.js';
+
+import {ActivityMonitor} from './activity.js';
+import {paramKeys, readParams} from './params.js';
+import {QualityMonitor} from './quality.js';
+import {ColorSchemeMonitor} from './scheme.js';
+import {FadingTargets, GlassTarget} from './target.js';
+
+const LOCK_STYLE_CLASS = 'liquid-glass-lock';
+
+// The unlock dialog's background blur (BLUR_BRIGHTNESS and BLUR_SIGMA in
+// unlockDialog.js); Shell.BlurEffect takes a radius of twice the sigma
+const LOCK_BACKGROUND_BLUR = {brightness: 0.65, radius: 45 * 2};
+
+// Cross-fade to the other style's tint (ms)
+const SCHEME_FADE_TIME = 600;
+
+// Unlock dialog member → target name
+const DIALOG_PARTS = {
+    '_clock': 'lock-clock',
+    '_notificationsBox': 'lock-notifications',
+    '_promptBox': 'lock-prompt',
+};
+
+export class LockGlass {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     */
+    constructor(settings) {
+        this._settings = settings;
+        this._activity = new ActivityMonitor(() => this._updatePaused(),
+            {pauseWhenLocked: false});
+        this._scheme = new ColorSchemeMonitor(
+            () => this._updateParams({duration: SCHEME_FADE_TIME}));
+        this._quality = new QualityMonitor(settings, () => this._rebuild());
+        this._dialog = null;
+        this._dialogDestroyId = 0;
+        this._targets = [];
+        this._fading = new FadingTargets();
+        this._paramsLaterId = 0;
+        this._signalIds = [];
+        this._settingSignalIds = [];
+    }
+
+    enable() {
+        this._activity.enable();
+        this._scheme.enable();
+        this._quality.enable();
+
+        const group = Main.screenShield?._lockDialogGroup;
+        if (group instanceof Clutter.Actor) {
+            for (const child of group.get_children())
+                this._trackDialog(child);
+            this._connectSignal(group, 'child-added',
+                (actor, child) => this._trackDialog(child));
+        }
+
+        for (const key of paramKeys())
+            this._connectSetting(key, () => this._queueUpdateParams());
+        this._connectSetting('spectral-dispersion', () => this._rebuild());
+        this._connectSetting('apply-to-lock-screen', () => {
+            const options = {duration: this._transitionTime()};
+            if (this._settings.get_boolean('apply-to-lock-screen'))
+                this._build(options);
+            else
+                this._teardown(options);
+        });
+    }
+
+    disable() {
+        if (this._paramsLaterId) {
+            global.compositor.get_laters().remove(this._paramsLaterId);
+            this._paramsLaterId = 0;
+        }
+
+        this._untrackDialog();
+        this._fading.clear();
+        this._activity.disable();
+        this._scheme.disable();
+        this._quality.disable();
+
+        for (const {obj, id} of this._signalIds)
+            obj.disconnect(id);
+        this._signalIds = [];
+
+        for (const id of this._settingSignalIds)
+            this._settings.disconnect(id);
+        this._settingSignalIds = [];
+    }
+
+    // ── Private ──
+
+    _trackDialog(actor) {
+        if (!(actor instanceof UnlockDialog) || actor === this._dialog)
+            return;
+
+        this._untrackDialog();
+        this._dialog = actor;
+        this._dialogDestroyId = actor.connect('destroy',
+            () => this._untrackDialog());
+        this._build();
+    }
+
+    _untrackDialog() {
+        this._teardown();
+
+        if (this._dialogDestroyId)
+            this._dialog.disconnect(this._dialogDestroyId);
+        this._dialogDestroyId = 0;
+        this._dialog = null;
+    }
+
+    // With a `duration` (ms) the glass fades in or out
+    _build({duration = 0} = {}) {
+        if (!this._dialog || !this._settings.get_boolean('apply-to-lock-screen') ||
+            this._targets.length > 0)
+            return;
+
+        // Without a layout manager of its own the dialog lays its children
+        // out like Clutter.FixedLayout
+        const manager = this._dialog.layout_manager;
+        const layer = !manager || manager instanceof Clutter.FixedLayout
+            ? this._dialog : null;
+
+        for (const [member, name] of Object.entries(DIALOG_PARTS)) {
+            const actor = this._dialog[member];
+            if (!(actor instanceof St.Widget) || !this._dialog.contains(actor))
+                continue;
+
+            const target = new GlassTarget(this._settings, actor, {
+                monitor: Main.layoutManager.primaryMonitor,
+                name,
+                surface: 'lock',
+                styleClass: LOCK_STYLE_CLASS,
+                activity: this._activity,
+                scheme: this._scheme,
+                quality: this._quality,
+                backgroundBlur: LOCK_BACKGROUND_BLUR,
+                allowLive: false,
+                layer,
+            });
+            target.build();
+            target.fadeIn(duration);
+            this._targets.push(target);
+        }
+    }
+
+    _teardown({duration = 0} = {}) {
+        for (const target of this._targets)
+            this._fading.destroy(target, duration);
+        this._targets = [];
+    }
+
+    _rebuild() {
+        this._teardown();
+        this._build();
+    }
+
+    // Apply a burst of changes once, right before the redraw
+    _queueUpdateParams() {
+        if (this._paramsLaterId)
+            return;
+
+        this._paramsLaterId = global.compositor.get_laters().add(
+            Meta.LaterType.BEFORE_REDRAW, () => {
+                this._paramsLaterId = 0;
+                this._updateParams({duration: this._transitionTime()});
+                return false;
+            });
+    }
+
+    _transitionTime() {
+        return this._settings.get_double('transition-duration');
+    }
+
+    _updateParams(options = {}) {
+        const params = readParams(this._settings, 'lock', this._scheme.isDark);
+        for (const target of this._targets)
+            target.setParams(params, options);
+    }
+
+    _updatePaused() {
+        for (const target of this._targets)
+            target.updatePaused();
+    }
+
+    // ── Signal helpers ──
+
+    _connectSignal(obj, signal, callback) {
+        const id = obj.connect(signal, callback);
+        this._signalIds.push({obj, id});
+    }
+
+    _connectSetting(key, callback) {
+        const id = this._settings.connect(`changed::${key}`, callback);
+        this._settingSignalIds.push(id);
+    }
+}
@@ -0,0 +1,177 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Glass backgrounds for the top panel's popup menus, Quick Settings
+// included.  Every menu registered with Main.panel.menuManager is tracked,
+// also those added later by other extensions (addMenu is wrapped through
+// an InjectionManager).
+//
+// A menu gets a GlassTarget behind its content box while its BoxPointer is
+// visible, which covers the open/close animations as well.  Menus use the
+// 'menu' surface, so they follow the menu-* override keys when enabled.
+//
+// The BoxPointer only allocates its own border and the St.Bin holding the
+// content box, and the bin only its child, so neither can hold the glass.
+// It goes into the BoxPointer's parent instead, below it, and follows its
+// opacity and slide as it opens and closes.  Turning 'apply-to-menus' on
+// or off fades the glass of open menus in or out.
+
+import {InjectionManager} from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import {FadingTargets, GlassTarget, monitorKey} from './target.js';
+
+const MENU_STYLE_CLASS = 'liquid-glass-menu';
+
+export class MenuGlass {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {object} monitors - shared {activity, scheme, quality,
+     *   rules, light} state, handed to every GlassTarget
+     */
+    constructor(settings, monitors) {
+        this._settings = settings;
+        this._monitors = monitors;
+        this._targets = new Map();       // PopupMenu → GlassTarget
+        this._menuSignals = new Map();   // PopupMenu → [signal ids]
+        this._fading = new FadingTargets();
+        this._injectionManager = new InjectionManager();
+        this._settingSignalIds = [];
+    }
+
+    /**
+     * Iterate over the glass targets of the menus currently shown.
+     */
+    *targets() {
+        yield* this._targets.values();
+    }
+
+    enable() {
+        const menuManager = Main.panel.menuManager;
+        for (const menu of menuManager._menus)
+            this._trackMenu(menu);
+
+        // Menus added after us (new indicators, other extensions)
+        const self = this;
+        this._injectionManager.overrideMethod(menuManager, 'addMenu',
+            originalMethod => function (menu, ...args) {
+                originalMethod.call(this, menu, ...args);
+                self._trackMenu(menu);
+            });
+        this._injectionManager.overrideMethod(menuManager, 'removeMenu',
+            originalMethod => function (menu, ...args) {
+                self._untrackMenu(menu);
+                originalMethod.call(this, menu, ...args);
+            });
+
+        const id = this._settings.connect('changed::apply-to-menus', () => {
+            const options = {duration: this._transitionTime()};
+            for (const menu of this._menuSignals.keys())
+                this._syncMenu(menu, options);
+        });
+        this._settingSignalIds.push(id);
+    }
+
+    disable() {
+        this._injectionManager.clear();
+
+        for (const menu of [...this._menuSignals.keys()])
+            this._untrackMenu(menu);
+        this._fading.clear();
+
+        for (const id of this._settingSignalIds)
+            this._settings.disconnect(id);
+        this._settingSignalIds = [];
+    }
+
+    /**
+     * Rebuild the targets whose monitor geometry changed.
+     */
+    sync() {
+        for (const [menu, target] of this._targets) {
+            const monitor = this._findMonitor(menu);
+            if (!monitor || monitorKey(monitor) !== target.key)
+                this._rebuildMenu(menu);
+        }
+    }
+
+    /**
+     * Tear down and rebuild the targets of every visible menu.
+     */
+    rebuild() {
+        for (const menu of this._menuSignals.keys())
+            this._rebuildMenu(menu);
+    }
+
+    // ── Private ──
+
+    _trackMenu(menu) {
+        if (!menu?.actor || this._menuSignals.has(menu))
+            return;
+
+        // The BoxPointer stays visible through the close animation, so the
+        // glass is kept until it is actually hidden
+        this._menuSignals.set(menu, [
+            menu.actor.connect('notify::visible', () => this._syncMenu(menu)),
+            menu.actor.connect('destroy', () => this._untrackMenu(menu)),
+        ]);
+        this._syncMenu(menu);
+    }
+
+    _untrackMenu(menu) {
+        this._fading.destroy(this._targets.get(menu));
+        this._targets.delete(menu);
+
+        for (const id of this._menuSignals.get(menu) ?? [])
+            menu.actor.disconnect(id);
+        this._menuSignals.delete(menu);
+    }
+
+    _rebuildMenu(menu) {
+        this._fading.destroy(this._targets.get(menu));
+        this._targets.delete(menu);
+        this._syncMenu(menu);
+    }
+
+    // With a `duration` (ms) the glass fades in or out; opening and
+    // closing need none, as the glass follows the BoxPointer
+    _syncMenu(menu, {duration = 0} = {}) {
+        const enabled = this._settings.get_boolean('apply-to-menus') &&
+            menu.actor.visible;
+
+        let target = this._targets.get(menu);
+        if (!enabled) {
+            this._fading.destroy(target, duration);
+            this._targets.delete(menu);
+            return;
+        }
+        if (target)
+            return;
+
+        const monitor = this._findMonitor(menu);
+        const layer = menu.actor.get_parent();
+        if (!monitor || !menu.box || !layer)
+            return;
+
+        target = new GlassTarget(this._settings, menu.box, {
+            monitor,
+            name: 'menu',
+            surface: 'menu',
+            styleClass: MENU_STYLE_CLASS,
+            layer,
+            ...this._monitors,
+        });
+        target.build();
+        target.fadeIn(duration);
+        this._targets.set(menu, target);
+    }
+
+    _transitionTime() {
+        return this._settings.get_double('transition-duration');
+    }
+
+    _findMonitor(menu) {
+        const layout = Main.layoutManager;
+        return layout.findMonitorForActor(menu.sourceActor ?? menu.actor) ??
+            layout.primaryMonitor;
+    }
+}
@@ -0,0 +1,230 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Glass targets for the overview surfaces: the dash, the search entry and
+// the app-folder popups.  Each surface is toggled by its own 'apply-to-*'
+// key and gets its own GlassTarget, so its clip follows that surface only.
+//
+// Folder popups are created lazily by the app grid and added to
+// Main.layoutManager.overviewGroup, so they are picked up as they appear
+// and only carry a glass target while they are open.
+//
+// The glass fades in as the overview opens and out as it closes, and when
+// a surface is switched on or off, over 'transition-duration'.
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as AppDisplay from 'resource:///org/gnome/shell/ui/appDisplay.js';
+
+import {FadingTargets, GlassTarget, monitorKey} from './target.js';
+
+const SURFACE_STYLE_CLASS = 'liquid-glass-surface';
+
+export class OverviewGlass {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {object} monitors - shared {activity, scheme, quality,
+     *   rules, light} state, handed to every GlassTarget
+     */
+    constructor(settings, monitors) {
+        this._settings = settings;
+        this._monitors = monitors;
+        this._dashTarget = null;
+        this._searchTarget = null;
+        this._folderTargets = new Map();   // AppFolderDialog → GlassTarget
+        this._fading = new FadingTargets();
+        this._dialogSignals = new Map();   // AppFolderDialog → [signal ids]
+        this._signalIds = [];
+        this._settingSignalIds = [];
+    }
+
+    /**
+     * Iterate over every glass target currently built for the overview.
+     */
+    *targets() {
+        if (this._dashTarget)
+            yield this._dashTarget;
+        if (this._searchTarget)
+            yield this._searchTarget;
+        yield* this._folderTargets.values();
+    }
+
+    enable() {
+        this._syncDash();
+        this._syncSearch();
+
+        // Folder popups: track the ones that exist and any created later
+        const overviewGroup = Main.layoutManager.overviewGroup;
+        for (const child of overviewGroup.get_children())
+            this._trackDialog(child);
+        this._connectSignal(overviewGroup, 'child-added',
+            (group, child) => this._trackDialog(child));
+
+        this._connectSignal(Main.overview, 'showing', () => {
+            for (const target of this.targets())
+                target.fadeIn(this._transitionTime());
+        });
+        this._connectSignal(Main.overview, 'hiding', () => {
+            for (const target of this.targets())
+                target.fadeOut(this._transitionTime());
+        });
+
+        this._connectSetting('apply-to-dash',
+            () => this._syncDash({duration: this._transitionTime()}));
+        this._connectSetting('apply-to-search',
+            () => this._syncSearch({duration: this._transitionTime()}));
+        this._connectSetting('apply-to-app-folders',
+            () => this._syncFolders({duration: this._transitionTime()}));
+    }
+
+    disable() {
+        this._fading.clear();
+        this._dashTarget?.destroy();
+        this._dashTarget = null;
+        this._searchTarget?.destroy();
+        this._searchTarget = null;
+
+        for (const target of this._folderTargets.values())
+            target.destroy();
+        this._folderTargets.clear();
+
+        for (const [dialog, ids] of this._dialogSignals) {
+            for (const id of ids)
+                dialog.disconnect(id);
+        }
+        this._dialogSignals.clear();
+
+        for (const {obj, id} of this._signalIds)
+            obj.disconnect(id);
+        this._signalIds = [];
+
+        for (const id of this._settingSignalIds)
+            this._settings.disconnect(id);
+        this._settingSignalIds = [];
+    }
+
+    /**
+     * Rebuild the targets whose monitor geometry changed.
+     */
+    sync() {
+        const key = monitorKey(Main.layoutManager.primaryMonitor);
+        for (const target of [...this.targets()]) {
+            if (target.key !== key) {
+                this.rebuild();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Tear down and rebuild every overview target, e.g. after the capture
+     * mode changed.
+     */
+    rebuild() {
+        this._dashTarget?.destroy();
+        this._dashTarget = null;
+        this._searchTarget?.destroy();
+        this._searchTarget = null;
+        for (const target of this._folderTargets.values())
+            target.destroy();
+        this._folderTargets.clear();
+
+        this._syncDash();
+        this._syncSearch();
+        this._syncFolders();
+    }
+
+    // ── Private ──
+
+    // With a `duration` (ms) the glass fades in or out
+    _syncDash(options = {}) {
+        this._dashTarget = this._syncTarget(this._dashTarget,
+            this._settings.get_boolean('apply-to-dash'),
+            () => Main.overview.dash?._background, 'dash', options);
+    }
+
+    _syncSearch(options = {}) {
+        this._searchTarget = this._syncTarget(this._searchTarget,
+            this._settings.get_boolean('apply-to-search'),
+            () => Main.overview.searchEntry, 'search', options);
+    }
+
+    _syncFolders(options = {}) {
+        for (const dialog of this._dialogSignals.keys())
+            this._syncFolder(dialog, options);
+    }
+
+    _syncFolder(dialog, options = {}) {
+        const target = this._syncTarget(this._folderTargets.get(dialog),
+            this._settings.get_boolean('apply-to-app-folders') && dialog._isOpen,
+            () => dialog._viewBox, 'app-folder', options);
+
+        if (target)
+            this._folderTargets.set(dialog, target);
+        else
+            this._folderTargets.delete(dialog);
+    }
+
+    /**
+     * Build or destroy a target so that it exists exactly when enabled.
+     * Returns the target to keep, or null.
+     */
+    _syncTarget(target, enabled, getActor, name, {duration = 0} = {}) {
+        if (!enabled) {
+            this._fading.destroy(target, duration);
+            return null;
+        }
+        if (target)
+            return target;
+
+        const actor = getActor();
+        if (!actor)
+            return null;
+
+        target = new GlassTarget(this._settings, actor, {
+            monitor: Main.layoutManager.primaryMonitor,
+            name,
+            surface: name,
+            styleClass: SURFACE_STYLE_CLASS,
+            ...this._monitors,
+        });
+        target.build();
+        target.fadeIn(duration);
+        return target;
+    }
+
+    _transitionTime() {
+        return this._settings.get_double('transition-duration');
+    }
+
+    _trackDialog(actor) {
+        if (!(actor instanceof AppDisplay.AppFolderDialog) ||
+            this._dialogSignals.has(actor))
+            return;
+
+        this._dialogSignals.set(actor, [
+            actor.connect('open-state-changed', () => this._syncFolder(actor)),
+            actor.connect('destroy', () => this._untrackDialog(actor)),
+        ]);
+        this._syncFolder(actor);
+    }
+
+    _untrackDialog(dialog) {
+        this._folderTargets.get(dialog)?.destroy();
+        this._folderTargets.delete(dialog);
+
+        for (const id of this._dialogSignals.get(dialog) ?? [])
+            dialog.disconnect(id);
+        this._dialogSignals.delete(dialog);
+    }
+
+    // ── Signal helpers ──
+
+    _connectSignal(obj, signal, callback) {
+        const id = obj.connect(signal, callback);
+        this._signalIds.push({obj, id});
+    }
+
+    _connectSetting(key, callback) {
+        const id = this._settings.connect(`changed::${key}`, callback);
+        this._settingSignalIds.push(id);
+    }
+}
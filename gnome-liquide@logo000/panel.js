@@ -1,230 +1,522 @@
 // SPDX-License-Identifier: GPL-3.0-or-later
 //
-// Creates a background capture widget behind the top panel and applies the
-// LiquidGlassEffect shader to it.  The approach mirrors blur-my-shell's
-// static-blur path:
+// Drives every glass surface of the extension from GSettings.
 //
-//   1. Create an St.Widget sized to the full monitor
-//   2. Use GNOME Shell's BackgroundManager to spawn a Meta.BackgroundActor
-//      (desktop wallpaper) inside it
-//   3. Clip the widget to the panel's geometry
-//   4. Insert as first child of the panel's parent (behind panel content)
-//   5. Apply LiquidGlassEffect — the shader refracts the wallpaper texture
-//   6. Make the panel's own background transparent via CSS
+// A GlassTarget (see target.js) is kept per monitor that has a panel on it.
+// Besides Main.panel on the primary monitor, panels created by
+// multi-monitor extensions are picked up as well, also when they come
+// later: the panels are looked for again whenever chrome is added to or
+// removed from the UI group, and a panel's glass goes with the panel.
+// The overview surfaces (dash, search entry, app folders) are handled by
+// OverviewGlass, the panel's popup menus by MenuGlass and window
+// titlebars by WindowGlass.
+//
+// A floating panel is inset from the screen edges with actor margins.  The
+// margins grow the box the panel sits in, so the struts of the layout
+// manager's panelBox (and of any panel box tracked the same way) keep
+// maximized windows clear, and the glass clip follows the new allocation.
+//
+// Settings changes are applied once per frame, eased over
+// 'transition-duration', and switching the panel on or off fades its glass.
+//
+// While the overview is open the panel sits on the overview's backdrop
+// rather than the desktop.  With 'overview-morph' on, the panel glass then
+// refracts that backdrop, and takes the 'overview' parameter set when
+// 'overview-custom-params' is on; both cross-fade as the overview opens
+// and closes.  Wallpaper tint, auto contrast and window touch sit out.
 
 import Meta from 'gi://Meta';
-import St from 'gi://St';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
-import * as Background from 'resource:///org/gnome/shell/ui/background.js';
 
-import {LiquidGlassEffect} from './effect.js';
+import {ActivityMonitor} from './activity.js';
+import {PanelContrast} from './contrast.js';
+import {LightMonitor} from './light.js';
+import {MenuGlass} from './menus.js';
+import {OverviewGlass} from './overview.js';
+import {paramKeys, readParams} from './params.js';
+import {QualityMonitor} from './quality.js';
+import {AppRules} from './rules.js';
+import {ColorSchemeMonitor} from './scheme.js';
+import {FadingTargets, GlassTarget, monitorKey} from './target.js';
+import {WallpaperTint} from './tint.js';
+import {PanelTouch} from './touch.js';
+import {WallpaperSampler} from './wallpaper.js';
+import {WindowGlass} from './windows.js';
+
+const PANEL_STYLE_CLASS = 'liquid-glass-panel';
+
+// Cross-fade between the light and dark tint (ms)
+const SCHEME_FADE_TIME = 600;
+
+// Fade to the wallpaper tint and auto contrast once the wallpaper under
+// the panel is measured (ms)
+const SAMPLE_FADE_TIME = 300;
+
+// Switch to or from a preset an app rule asks for (ms)
+const RULE_FADE_TIME = 300;
+
+// Between the free and the touched look when a window meets the panel (ms)
+const TOUCH_FADE_TIME = 250;
+
+// Width of the drop shadow around a floating panel (px)
+const FLOATING_SHADOW_SIZE = 16;
+
+// Surface whose parameters the panel takes in the overview (see params.js)
+const OVERVIEW_SURFACE = 'overview';
+
+const FLOATING_KEYS = [
+    'floating-panel', 'floating-margin-top', 'floating-margin-side',
+    'floating-shadow',
+];
+
+/**
+ * The color the overview is drawn on, from the shell theme.
+ */
+function overviewBackdropColor() {
+    return Main.layoutManager.overviewGroup.get_theme_node().get_background_color();
+}
+
+/**
+ * Collect every panel actor currently on screen, paired with the index of
+ * the monitor it lives on.  At most one panel is returned per monitor.
+ */
+function findPanels() {
+    const layout = Main.layoutManager;
+    const found = new Map();
+
+    const add = (panel, monitorIndex) => {
+        if (!panel || found.has(monitorIndex))
+            return;
+        if (monitorIndex === undefined || monitorIndex < 0)
+            monitorIndex = layout.findIndexForActor(panel);
+        if (monitorIndex >= 0 && monitorIndex < layout.monitors.length)
+            found.set(monitorIndex, panel);
+    };
+
+    add(Main.panel, layout.primaryIndex);
+
+    // multi-monitors-add-on
+    for (const panel of Main.mmPanel ?? [])
+        add(panel, panel.monitorIndex);
+
+    // dash-to-panel
+    for (const p of global.dashToPanel?.panels ?? [])
+        add(p.panel ?? p, p.monitor?.index);
+
+    return found;
+}
 
 export class PanelGlass {
-    constructor(settings) {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {Function} [onStatusChanged] - called when the shader tier,
+     *   the suspension of the glass or the wallpaper tint may have changed
+     */
+    constructor(settings, onStatusChanged = () => {}) {
         this._settings = settings;
-        this._bgManager = null;
-        this._bgGroup = null;
-        this._bgWidget = null;
-        this._effect = null;
+        this._onStatusChanged = onStatusChanged;
+        this._panelTargets = new Map();  // monitor index → GlassTarget
+        this._panelSamplers = new Map(); // GlassTarget → WallpaperSampler
+        this._panelTint = new Map();     // GlassTarget → WallpaperTint
+        this._panelContrast = new Map(); // GlassTarget → PanelContrast
+        this._panelTouch = new Map();    // GlassTarget → PanelTouch
+        this._panelMargins = new Map();  // GlassTarget → margins before floating
+        this._panelDestroyIds = new Map(); // GlassTarget → panel 'destroy' id
+        this._fading = new FadingTargets();
+        this._activity = new ActivityMonitor(() => this._updatePaused());
+        this._scheme = new ColorSchemeMonitor(
+            () => this._updateParams({duration: SCHEME_FADE_TIME}));
+        this._quality = new QualityMonitor(settings, () => {
+            this._rebuildAll();
+            this._onStatusChanged();
+        });
+        this._rules = new AppRules(settings, () => this._applyRules());
+        this._light = new LightMonitor(settings, () => this._updateLights());
+
+        // Shared by every target, whichever surface it belongs to
+        this._monitors = {
+            activity: this._activity,
+            scheme: this._scheme,
+            quality: this._quality,
+            rules: this._rules,
+            light: this._light,
+        };
+        this._overviewGlass = new OverviewGlass(settings, this._monitors);
+        this._menuGlass = new MenuGlass(settings, this._monitors);
+        this._windowGlass = new WindowGlass(settings, this._monitors,
+            target => this._updateTargetParams(target));
+        this._paramsLaterId = 0;
+        this._panelsLaterId = 0;
+        this._inOverview = false;
         this._signalIds = [];
+        this._settingSignalIds = [];
     }
 
     enable() {
-        if (!this._settings.get_boolean('apply-to-panel'))
-            return;
+        this._activity.enable();
+        this._scheme.enable();
+        this._quality.enable();
+        this._rules.enable();
+        this._light.enable();
 
-        this._setup();
+        this._inOverview = Main.overview.visible;
+        if (this._settings.get_boolean('apply-to-panel'))
+            this._setup({duration: this._transitionTime()});
+        this._overviewGlass.enable();
+        this._menuGlass.enable();
+        this._windowGlass.enable();
+
+        // Only rebuild the targets whose monitor geometry or actor changed
+        this._connectSignal(Main.layoutManager, 'monitors-changed', () => {
+            this._syncPanelTargets();
+            this._overviewGlass.sync();
+            this._menuGlass.sync();
+            this._windowGlass.sync();
+        });
 
-        // Rebuild when monitors change (resolution, hotplug)
-        this._connectSignal(Main.layoutManager, 'monitors-changed',
-            () => this._rebuild());
+        // Panel boxes are chrome, also those other extensions add later
+        const uiGroup = Main.layoutManager.uiGroup;
+        this._connectSignal(uiGroup, 'child-added', () => this._queueSyncPanels());
+        this._connectSignal(uiGroup, 'child-removed', () => this._queueSyncPanels());
 
         // Live-update shader uniforms when settings change
-        this._connectSetting('ior', () => {
-            this._effect.ior = this._settings.get_double('ior');
-        });
-        this._connectSetting('chromatic-aberration', () => {
-            this._effect.ca = this._settings.get_double('chromatic-aberration');
-        });
-        this._connectSetting('distortion', () => {
-            this._effect.dist = this._settings.get_double('distortion');
-        });
-        this._connectSetting('corner-radius', () => {
-            this._effect.cr = this._settings.get_double('corner-radius');
-        });
-        this._connectSetting('fresnel', () => {
-            this._effect.fres = this._settings.get_double('fresnel');
-        });
-        this._connectSetting('blur', () => {
-            this._effect.blur = this._settings.get_double('blur');
-        });
-        this._connectSetting('tint-color', () => {
-            this._effect.tintColor = this._settings.get_string('tint-color');
-        });
+        for (const key of [
+            ...paramKeys(), 'auto-contrast', 'min-contrast',
+            'wallpaper-tint', 'wallpaper-tint-strength',
+            'touched-tint-opacity', 'touched-blur',
+        ]) {
+            this._connectSetting(key, () => this._queueUpdateParams());
+        }
+        for (const key of FLOATING_KEYS)
+            this._connectSetting(key, () => this._updateFloating());
+        this._connectSignal(Main.overview, 'showing', () => this._setOverview(true));
+        this._connectSignal(Main.overview, 'hiding', () => this._setOverview(false));
+        this._connectSetting('overview-morph',
+            () => this._syncOverview({duration: this._transitionTime()}));
+
+        this._connectSetting('capture-mode', () => this._rebuildAll());
+        this._connectSetting('spectral-dispersion', () => this._rebuildAll());
         this._connectSetting('apply-to-panel', () => {
+            const options = {duration: this._transitionTime()};
             if (this._settings.get_boolean('apply-to-panel'))
-                this._setup();
+                this._setup(options);
             else
-                this._teardown();
+                this._teardown(options);
         });
     }
 
     disable() {
+        if (this._paramsLaterId) {
+            global.compositor.get_laters().remove(this._paramsLaterId);
+            this._paramsLaterId = 0;
+        }
+        if (this._panelsLaterId) {
+            global.compositor.get_laters().remove(this._panelsLaterId);
+            this._panelsLaterId = 0;
+        }
+
         this._teardown();
+        this._fading.clear();
+        this._overviewGlass.disable();
+        this._menuGlass.disable();
+        this._windowGlass.disable();
+        this._activity.disable();
+        this._scheme.disable();
+        this._quality.disable();
+        this._rules.disable();
+        this._light.disable();
+
+        // Disconnect layout manager signals
+        for (const {obj, id} of this._signalIds)
+            obj.disconnect(id);
+        this._signalIds = [];
 
         // Disconnect all GSettings signals
-        for (const id of this._settingSignalIds ?? [])
+        for (const id of this._settingSignalIds)
             this._settings.disconnect(id);
         this._settingSignalIds = [];
     }
 
-    // ── Private ──
-
-    _setup() {
-        const panel = Main.panel;
-        const panelBox = panel.get_parent();
-        if (!panelBox)
-            return;
+    /**
+     * Every glass target currently built, on any surface.
+     */
+    get targets() {
+        return [...this._targets()];
+    }
 
-        const monitor = Main.layoutManager.primaryMonitor;
-        if (!monitor)
-            return;
+    /**
+     * The shader tier in use, see QualityMonitor.
+     */
+    get quality() {
+        return this._quality.quality;
+    }
 
-        // Container group (width/height 0 — layout handled by _updateClip)
-        this._bgGroup = new Meta.BackgroundGroup({
-            name: 'liquid-glass-bg-group',
-            width: 0,
-            height: 0,
-        });
+    /**
+     * Whether the glass is held off on every surface, see AppRules.
+     */
+    get suspended() {
+        return this._rules.suspended;
+    }
 
-        // Full-monitor widget that will hold the wallpaper actor
-        // z_position: 1 prevents z-fighting (blur-my-shell pattern)
-        this._bgWidget = new St.Widget({
-            name: 'liquid-glass-bg-widget',
-            x: 0,
-            y: 0,
-            width: monitor.width,
-            height: monitor.height,
-            z_position: 1,
-        });
+    set suspended(suspended) {
+        this._rules.suspended = suspended;
+    }
 
-        // GNOME Shell's BackgroundManager creates a Meta.BackgroundActor
-        // (the desktop wallpaper) as a child of our widget
-        this._bgManager = new Background.BackgroundManager({
-            container: this._bgWidget,
-            monitorIndex: monitor.index,
-            controlPosition: false,
-        });
+    /**
+     * The tint the primary panel blends with the wallpaper, or null, see
+     * WallpaperTint.
+     */
+    get wallpaperTint() {
+        const target = this._panelTargets.get(Main.layoutManager.primaryIndex);
+        return this._panelTint.get(target)?.result ?? null;
+    }
 
-        // Create and apply the liquid glass shader effect
-        this._effect = new LiquidGlassEffect({
-            ior: this._settings.get_double('ior'),
-            ca: this._settings.get_double('chromatic-aberration'),
-            dist: this._settings.get_double('distortion'),
-            cr: this._settings.get_double('corner-radius'),
-            fres: this._settings.get_double('fresnel'),
-            blur: this._settings.get_double('blur'),
-            tint: this._parseTint(this._settings.get_string('tint-color')),
-        });
-        this._bgWidget.add_effect(this._effect);
+    // ── Private ──
 
-        // Add widget to background group
-        this._bgGroup.add_child(this._bgWidget);
+    // With a `duration` (ms) the panel glass fades in or out
+    _setup(options = {}) {
+        this._syncPanelTargets(options);
+    }
 
-        // Insert behind all panel content
-        panelBox.insert_child_at_index(this._bgGroup, 0);
+    _teardown(options = {}) {
+        for (const index of [...this._panelTargets.keys()])
+            this._destroyPanelTarget(index, options);
+    }
 
-        // Clip to panel geometry and track size changes
-        this._updateClip();
-        this._connectSignal(panel, 'notify::width', () => this._updateClip());
-        this._connectSignal(panel, 'notify::height', () => this._updateClip());
-        this._connectSignal(panelBox, 'notify::size', () => this._updateClip());
-        this._connectSignal(panelBox, 'notify::position', () => this._updateClip());
+    _rebuild() {
+        this._teardown();
+        this._setup();
+    }
 
-        // Make the panel's own background transparent
-        panel.add_style_class_name('liquid-glass-panel');
+    _rebuildAll() {
+        this._rebuild();
+        this._overviewGlass.rebuild();
+        this._menuGlass.rebuild();
+        this._windowGlass.rebuild();
     }
 
-    _teardown() {
-        // Disconnect actor signals
-        for (const {obj, id} of this._signalIds)
-            obj.disconnect(id);
-        this._signalIds = [];
+    /**
+     * Bring the set of panel targets in line with the current monitors:
+     * build missing ones, drop stale ones and rebuild only those whose
+     * monitor geometry, scale or panel actor changed.
+     */
+    _syncPanelTargets({duration = 0} = {}) {
+        if (!this._settings.get_boolean('apply-to-panel'))
+            return;
+
+        const monitors = Main.layoutManager.monitors;
+        const panels = findPanels();
 
-        // Restore panel background
-        Main.panel.remove_style_class_name('liquid-glass-panel');
+        for (const [index, target] of this._panelTargets) {
+            const monitor = monitors[index];
+            if (monitor && panels.get(index) === target.actor &&
+                monitorKey(monitor) === target.key)
+                continue;
 
-        // Remove background actor
-        if (this._bgManager) {
-            this._bgManager.destroy();
-            this._bgManager = null;
+            this._destroyPanelTarget(index);
         }
 
-        // Remove from scene tree
-        const panelBox = Main.panel.get_parent();
-        if (this._bgGroup && panelBox) {
-            panelBox.remove_child(this._bgGroup);
-            this._bgGroup.destroy_all_children();
-            this._bgGroup.destroy();
+        for (const [index, panel] of panels) {
+            if (this._panelTargets.has(index))
+                continue;
+
+            const target = new GlassTarget(this._settings, panel, {
+                monitor: monitors[index],
+                name: `panel-${index}`,
+                styleClass: PANEL_STYLE_CLASS,
+                ...this._monitors,
+            });
+            target.build();
+            this._panelTargets.set(index, target);
+            this._panelDestroyIds.set(target, panel.connect('destroy', () => {
+                this._destroyPanelTarget(index);
+                this._queueSyncPanels();
+            }));
+            this._applyFloating(target);
+            if (this._morphed())
+                target.setBackdrop(overviewBackdropColor());
+
+            const sampler = new WallpaperSampler(target, this._scheme,
+                () => this._updateTargetParams(target, {duration: SAMPLE_FADE_TIME}));
+            sampler.enable();
+            this._panelSamplers.set(target, sampler);
+            this._panelTint.set(target,
+                new WallpaperTint(this._settings, target, sampler));
+            this._panelContrast.set(target,
+                new PanelContrast(this._settings, target, sampler));
+
+            const touch = new PanelTouch(this._settings, target,
+                () => this._updateTargetParams(target, {duration: TOUCH_FADE_TIME}));
+            this._panelTouch.set(target, touch);
+            touch.enable();
+            this._updateTargetParams(target);
+            target.fadeIn(duration);
         }
-        this._bgGroup = null;
-        this._bgWidget = null;
-        this._effect = null;
     }
 
-    _rebuild() {
-        this._teardown();
-        if (this._settings.get_boolean('apply-to-panel'))
-            this._setup();
+    _destroyPanelTarget(index, {duration = 0} = {}) {
+        const target = this._panelTargets.get(index);
+        target.actor.disconnect(this._panelDestroyIds.get(target));
+        this._panelDestroyIds.delete(target);
+        this._panelContrast.get(target)?.destroy();
+        this._panelContrast.delete(target);
+        this._panelTint.delete(target);
+        this._panelSamplers.get(target)?.destroy();
+        this._panelSamplers.delete(target);
+        this._panelTouch.get(target)?.destroy();
+        this._panelTouch.delete(target);
+        this._restoreMargins(target);
+        this._fading.destroy(target, duration);
+        this._panelTargets.delete(index);
+    }
+
+    _updateFloating() {
+        for (const target of this._panelTargets.values())
+            this._applyFloating(target);
     }
 
-    _updateClip() {
-        if (!this._bgWidget)
+    _applyFloating(target) {
+        if (!this._settings.get_boolean('floating-panel')) {
+            this._restoreMargins(target);
+            target.setShadow(0, 0);
             return;
+        }
+
+        const actor = target.actor;
+        if (!this._panelMargins.has(target)) {
+            this._panelMargins.set(target, {
+                margin_top: actor.margin_top,
+                margin_bottom: actor.margin_bottom,
+                margin_left: actor.margin_left,
+                margin_right: actor.margin_right,
+            });
+        }
+
+        // The same gap below keeps maximized windows off the shadow
+        const top = this._settings.get_double('floating-margin-top');
+        const side = this._settings.get_double('floating-margin-side');
+        actor.set({
+            margin_top: top,
+            margin_bottom: top,
+            margin_left: side,
+            margin_right: side,
+        });
+        target.setShadow(FLOATING_SHADOW_SIZE,
+            this._settings.get_double('floating-shadow'));
+    }
 
-        const panel = Main.panel;
-        const panelBox = panel.get_parent();
-        if (!panelBox)
+    _restoreMargins(target) {
+        const margins = this._panelMargins.get(target);
+        if (!margins)
             return;
 
-        const monitor = Main.layoutManager.primaryMonitor;
-        if (!monitor)
+        target.actor.set(margins);
+        this._panelMargins.delete(target);
+    }
+
+    *_targets() {
+        yield* this._panelTargets.values();
+        yield* this._overviewGlass.targets();
+        yield* this._menuGlass.targets();
+        yield* this._windowGlass.targets();
+    }
+
+    _setOverview(open) {
+        this._inOverview = open;
+        this._syncOverview({duration: this._transitionTime()});
+    }
+
+    // Whether the panel glass refracts the overview's backdrop
+    _morphed() {
+        return this._inOverview && this._settings.get_boolean('overview-morph');
+    }
+
+    _syncOverview(options = {}) {
+        const color = this._morphed() ? overviewBackdropColor() : null;
+        for (const target of this._panelTargets.values())
+            target.setBackdrop(color, options);
+        this._updateParams(options);
+    }
+
+    _transitionTime() {
+        return this._settings.get_double('transition-duration');
+    }
+
+    // Chrome comes and goes in bursts; look for panels once it settled
+    _queueSyncPanels() {
+        if (this._panelsLaterId)
             return;
 
-        // Guard: actors may not be allocated yet during startup.
-        // NaN comparisons with 0 are false, so use > 0 (catches NaN + zero).
-        const [boxW, boxH] = panelBox.get_size();
-        if (!(boxW > 0) || !(boxH > 0) ||
-            !(panel.width > 0) || !(panel.height > 0))
+        this._panelsLaterId = global.compositor.get_laters().add(
+            Meta.LaterType.BEFORE_REDRAW, () => {
+                this._panelsLaterId = 0;
+                this._syncPanelTargets();
+                return false;
+            });
+    }
+
+    // A spin row held down writes a value per step and a preset writes
+    // every key at once; apply each burst once, right before the redraw
+    _queueUpdateParams() {
+        if (this._paramsLaterId)
             return;
 
-        // Panel position relative to the monitor
-        const [bx, by] = panelBox.get_position();
-        const parent = panelBox.get_parent();
-        const [px, py] = parent ? parent.get_position() : [0, 0];
+        this._paramsLaterId = global.compositor.get_laters().add(
+            Meta.LaterType.BEFORE_REDRAW, () => {
+                this._paramsLaterId = 0;
+                this._updateParams({duration: this._transitionTime()});
+                return false;
+            });
+    }
 
-        const clipX = bx + px - monitor.x + (boxW - panel.width) / 2;
-        const clipY = by + py - monitor.y + (boxH - panel.height) / 2;
-        const wx = (boxW - panel.width) / 2 - clipX;
-        const wy = (boxH - panel.height) / 2 - clipY;
+    _updateParams(options = {}) {
+        for (const target of this._targets())
+            this._updateTargetParams(target, options);
+    }
 
-        // Guard: NaN can occur when actors aren't fully positioned yet
-        if (!isFinite(clipX) || !isFinite(clipY) ||
-            !isFinite(wx) || !isFinite(wy))
-            return;
+    _updateTargetParams(target, options = {}) {
+        const surface = target.backdrop ? OVERVIEW_SURFACE : target.surface;
+        let params = this._rules.apply(
+            readParams(this._settings, surface, this._scheme.isDark));
+
+        // Titlebars only round the corners that are free
+        params = this._windowGlass.apply(target, params);
+
+        // Panels may blend their tint toward the wallpaper under them
+        const tint = this._panelTint.get(target);
+        if (tint) {
+            params = tint.apply(params);
+            this._onStatusChanged();
+        }
+
+        // Windows against the panel switch it to the touched look
+        const touch = this._panelTouch.get(target);
+        if (touch)
+            params = touch.apply(params);
+
+        // Panels may need a stronger tint or dark text to stay readable
+        const contrast = this._panelContrast.get(target);
+        if (contrast)
+            params = contrast.apply(params);
+
+        target.setParams(params, options);
+    }
+
+    _applyRules() {
+        for (const target of this._targets())
+            target.updateSuspended();
+        this._updateParams({duration: RULE_FADE_TIME});
+        this._onStatusChanged();
+    }
 
-        this._bgWidget.set_clip(clipX, clipY, panel.width, panel.height);
-        this._bgWidget.x = wx;
-        this._bgWidget.y = 0.5 + wy;  // sub-pixel alignment (blur-my-shell pattern)
+    _updatePaused() {
+        for (const target of this._targets())
+            target.updatePaused();
     }
 
-    _parseTint(hex) {
-        hex = hex.replace('#', '');
-        const r = parseInt(hex.substring(0, 2), 16) / 255;
-        const g = parseInt(hex.substring(2, 4), 16) / 255;
-        const b = parseInt(hex.substring(4, 6), 16) / 255;
-        const a = hex.length >= 8 ? parseInt(hex.substring(6, 8), 16) / 255 : 1.0;
-        return [r, g, b, a];
+    _updateLights() {
+        for (const target of this._targets())
+            target.updateLight();
     }
 
     // ── Signal helpers ──
@@ -235,8 +527,6 @@ export class PanelGlass {
     }
 
     _connectSetting(key, callback) {
-        if (!this._settingSignalIds)
-            this._settingSignalIds = [];
         const id = this._settings.connect(`changed::${key}`, callback);
         this._settingSignalIds.push(id);
     }
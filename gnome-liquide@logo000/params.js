@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// The shader parameters shared by every glass surface.  Each entry maps a
+// GSettings key to the LiquidGlassEffect property it drives.
+//
+// Surfaces that can override the global look (e.g. popup menus) store their
+// own copy of every key behind a prefix, and a toggle key selects between
+// the override set and the global one.  Parameters marked `global` are the
+// same on every surface and have no prefixed copies.
+//
+// With 'adaptive-tint' on, the ADAPTIVE_PARAMS of the unprefixed set follow
+// the system style instead: 'tint-color' is read from 'tint-color-light' or
+// 'tint-color-dark', and likewise for the others.
+//
+// Used by both the shell side and prefs.js, so keep this module free of
+// Shell imports.
+
+export const SHADER_PARAMS = [
+    {key: 'ior', prop: 'ior', type: 'd'},
+    {key: 'chromatic-aberration', prop: 'ca', type: 'd'},
+    {key: 'distortion', prop: 'dist', type: 'd'},
+    {key: 'corner-radius', prop: 'cr', type: 'd'},
+    {key: 'shape', prop: 'shape', type: 's'},
+    {key: 'rounded-corners', prop: 'corners', type: 'as'},
+    {key: 'fresnel', prop: 'fres', type: 'd'},
+    {key: 'blur', prop: 'blur', type: 'd'},
+    {key: 'tint-color', prop: 'tintColor', type: 's'},
+    {key: 'thickness', prop: 'thickness', type: 'd', global: true},
+    {key: 'bevel-width', prop: 'bevel', type: 'd', global: true},
+    {key: 'abbe-number', prop: 'abbe', type: 'd', global: true},
+    {key: 'highlight-intensity', prop: 'specular', type: 'd', global: true},
+    {key: 'highlight-sharpness', prop: 'sharpness', type: 'd', global: true},
+    {key: 'wave', prop: 'wave', type: 'd', global: true},
+    {key: 'wave-speed', prop: 'waveSpeed', type: 'd', global: true},
+];
+
+// surface name → override key prefix and the key that enables it
+export const SURFACE_OVERRIDES = {
+    menu: {prefix: 'menu-', toggleKey: 'menu-custom-params'},
+    lock: {prefix: 'lock-', toggleKey: 'lock-custom-params'},
+    overview: {prefix: 'overview-', toggleKey: 'overview-custom-params'},
+};
+
+export const ADAPTIVE_PARAMS = {
+    toggleKey: 'adaptive-tint',
+    keys: ['tint-color', 'fresnel'],
+};
+
+/**
+ * The keys of adaptive tinting: its toggle, then the light and dark copy
+ * of each ADAPTIVE_PARAMS key.
+ */
+export function adaptiveKeys() {
+    const keys = [ADAPTIVE_PARAMS.toggleKey];
+    for (const key of ADAPTIVE_PARAMS.keys)
+        keys.push(`${key}-light`, `${key}-dark`);
+    return keys;
+}
+
+/**
+ * The {key, type} of a key a parameter set may hold (see presets.js): a
+ * SHADER_PARAMS entry or one of adaptiveKeys(), else null.
+ */
+export function paramSpec(key) {
+    const spec = SHADER_PARAMS.find(p => p.key === key);
+    if (spec)
+        return spec;
+    if (key === ADAPTIVE_PARAMS.toggleKey)
+        return {key, type: 'b'};
+
+    const base = ADAPTIVE_PARAMS.keys.find(
+        k => key === `${k}-light` || key === `${k}-dark`);
+    return base ? {...paramSpec(base), key} : null;
+}
+
+/**
+ * Every GSettings key that can change the parameters of some surface.
+ */
+export function paramKeys() {
+    const keys = [...SHADER_PARAMS.map(p => p.key), ...adaptiveKeys()];
+    for (const {prefix, toggleKey} of Object.values(SURFACE_OVERRIDES)) {
+        keys.push(toggleKey);
+        keys.push(...SHADER_PARAMS.filter(p => !p.global).map(p => prefix + p.key));
+    }
+    return keys;
+}
+
+/**
+ * Read the effective shader parameters for a surface, as an object keyed
+ * by LiquidGlassEffect property name.
+ *
+ * @param {boolean} [dark] - whether the system uses the dark style
+ */
+export function readParams(settings, surface, dark = false) {
+    const override = SURFACE_OVERRIDES[surface];
+    const prefix = override && settings.get_boolean(override.toggleKey)
+        ? override.prefix
+        : '';
+    const adaptive = !prefix && settings.get_boolean(ADAPTIVE_PARAMS.toggleKey);
+
+    const params = {};
+    for (const {key, prop, type, global} of SHADER_PARAMS) {
+        let name = global ? key : prefix + key;
+        if (adaptive && ADAPTIVE_PARAMS.keys.includes(key))
+            name += dark ? '-dark' : '-light';
+        params[prop] = readValue(settings, name, type);
+    }
+    return params;
+}
+
+/**
+ * Read a parameter key by its SHADER_PARAMS type ('b' for the toggle of
+ * adaptive tinting).
+ */
+export function readValue(settings, key, type) {
+    switch (type) {
+    case 's':
+        return settings.get_string(key);
+    case 'as':
+        return settings.get_strv(key);
+    case 'b':
+        return settings.get_boolean(key);
+    default:
+        return settings.get_double(key);
+    }
+}
+
+/**
+ * Write a parameter key by its SHADER_PARAMS type.
+ */
+export function writeValue(settings, key, type, value) {
+    switch (type) {
+    case 's':
+        settings.set_string(key, String(value));
+        break;
+    case 'as':
+        settings.set_strv(key, value.map(String));
+        break;
+    case 'b':
+        settings.set_boolean(key, Boolean(value));
+        break;
+    default:
+        settings.set_double(key, Number(value));
+    }
+}
+
+/**
+ * The values allowed for a string (or each string of a string-list) key
+ * in the schema, or null when any value goes.
+ */
+export function keyChoices(settings, key) {
+    const range = settings.settings_schema.get_key(key).get_range();
+    const [type, values] = range.recursiveUnpack();
+    return type === 'enum' ? values : null;
+}
+
+/**
+ * The [min, max] range declared for a numeric key in the schema, or null
+ * when the key has no range.
+ */
+export function keyRange(settings, key) {
+    const range = settings.settings_schema.get_key(key).get_range();
+    const [type, limits] = range.recursiveUnpack();
+    return type === 'range' ? limits : null;
+}
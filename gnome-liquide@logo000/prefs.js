@@ -6,6 +6,19 @@ import Gtk from 'gi://Gtk';
 
 import {ExtensionPreferences} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import {BUS_NAME, GlassProxy, OBJECT_PATH} from './dbus.js';
+import {paramKeys} from './params.js';
+import {GlassPreview, PREVIEW_BACKGROUNDS} from './preview.js';
+import {
+    applyParams, applyPreset, deleteCustomPreset, listPresets, matchPreset,
+    saveCustomPreset
+} from './presets.js';
+import {ProfileError, parseProfile, serializeProfile} from './profile.js';
+import {PRESET_ACTION_PREFIX, deleteRule, loadRules, saveRule} from './rules.js';
+
+// What the user built up rather than tuned, kept by Reset All to Defaults
+const RESET_KEEP_KEYS = ['custom-presets', 'app-rules', 'window-apps'];
+
 export default class GnomeLiquidePreferences extends ExtensionPreferences {
     fillPreferencesWindow(window) {
         const settings = this.getSettings();
@@ -16,6 +29,9 @@ export default class GnomeLiquidePreferences extends ExtensionPreferences {
         });
         window.add(page);
 
+        this._addPresetGroup(window, page, settings);
+        this._addPreviewGroup(page, settings);
+
         // ── General ──
         const generalGroup = new Adw.PreferencesGroup({
             title: 'General',
@@ -30,6 +46,888 @@ export default class GnomeLiquidePreferences extends ExtensionPreferences {
         settings.bind('apply-to-panel', enableRow, 'active',
             Gio.SettingsBindFlags.DEFAULT);
 
+        this._addSwitchRow(generalGroup, settings, {
+            key: 'apply-to-dash',
+            title: 'Apply to Dash',
+            subtitle: 'Glass behind the dash in the overview',
+        });
+
+        this._addSwitchRow(generalGroup, settings, {
+            key: 'apply-to-search',
+            title: 'Apply to Search Entry',
+            subtitle: 'Glass behind the overview search entry',
+        });
+
+        this._addSwitchRow(generalGroup, settings, {
+            key: 'apply-to-app-folders',
+            title: 'Apply to App Folders',
+            subtitle: 'Glass behind app-folder popups in the app grid',
+        });
+
+        this._addChoiceRow(generalGroup, settings, {
+            key: 'capture-mode',
+            title: 'Capture Mode',
+            subtitle: 'Live also refracts windows under the panel (more GPU)',
+            choices: [
+                ['wallpaper', 'Wallpaper'],
+                ['live', 'Live Windows'],
+            ],
+        });
+
+        this._addChoiceRow(generalGroup, settings, {
+            key: 'quality',
+            title: 'Rendering Quality',
+            subtitle: 'Lower tiers use less GPU; Auto saves power on battery',
+            choices: [
+                ['auto', 'Auto'],
+                ['low', 'Low'],
+                ['balanced', 'Balanced'],
+                ['high', 'High'],
+            ],
+        });
+
+        this._addParamGroups(page, settings, '');
+        this._addLensGroup(page, settings);
+        this._addHighlightGroup(page, settings);
+        this._addAdaptiveGroup(page, settings);
+        this._addContrastGroup(page, settings);
+        this._addFloatingGroup(page, settings);
+        this._addTouchGroup(page, settings);
+
+        // ── Animation ──
+        const animationGroup = new Adw.PreferencesGroup({
+            title: 'Animation',
+            description: 'Animated liquid surface, also on the lock screen; pauses when idle or fullscreen',
+        });
+        page.add(animationGroup);
+
+        this._addSpinRow(animationGroup, settings, {
+            key: 'wave',
+            title: 'Wave Amplitude',
+            subtitle: '0 = static glass (no animation cost)',
+            min: 0.0, max: 2.0, step: 0.05, digits: 2,
+        });
+
+        this._addSpinRow(animationGroup, settings, {
+            key: 'wave-speed',
+            title: 'Wave Speed',
+            subtitle: 'Playback speed of the wave',
+            min: 0.1, max: 4.0, step: 0.1, digits: 1,
+        });
+
+        this._addSpinRow(animationGroup, settings, {
+            key: 'transition-duration',
+            title: 'Transition Duration',
+            subtitle: 'Milliseconds to ease to new values and fade glass in or out',
+            min: 0.0, max: 2000.0, step: 50.0, digits: 0,
+        });
+
+        // ── Reset ──
+        const resetGroup = new Adw.PreferencesGroup();
+        page.add(resetGroup);
+
+        const resetRow = new Adw.ActionRow({
+            title: 'Reset All to Defaults',
+            subtitle: 'Restore factory settings; saved presets, app rules and window apps are kept',
+        });
+        const resetButton = new Gtk.Button({
+            label: 'Reset',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['destructive-action'],
+        });
+        resetButton.connect('clicked', () => {
+            for (const key of settings.settings_schema.list_keys()) {
+                if (!RESET_KEEP_KEYS.includes(key))
+                    settings.reset(key);
+            }
+        });
+        resetRow.add_suffix(resetButton);
+        resetGroup.add(resetRow);
+
+        this._addMenuPage(window, settings);
+        this._addOverviewPage(window, settings);
+        this._addWindowsPage(window, settings);
+        this._addLockPage(window, settings);
+        this._addRulesPage(window, settings);
+    }
+
+    _addPresetGroup(window, page, settings) {
+        const presetGroup = new Adw.PreferencesGroup({
+            title: 'Presets',
+            description: 'Apply a complete glass look in one step',
+        });
+        page.add(presetGroup);
+
+        // First entry stands for "no preset matches the current values"
+        const model = new Gtk.StringList();
+        const presetRow = new Adw.ComboRow({
+            title: 'Preset',
+            subtitle: 'Changing any parameter switches to Custom',
+            model,
+        });
+        presetGroup.add(presetRow);
+
+        const saveRow = new Adw.EntryRow({
+            title: 'Save Current Look As…',
+            show_apply_button: true,
+        });
+        presetGroup.add(saveRow);
+
+        const deleteRow = new Adw.ActionRow({
+            title: 'Delete Preset',
+            subtitle: 'Remove the selected saved preset',
+        });
+        const deleteButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        deleteRow.add_suffix(deleteButton);
+        presetGroup.add(deleteRow);
+
+        const profileRow = new Adw.ActionRow({
+            title: 'Glass Profile',
+            subtitle: 'Share looks as JSON files, also read by the playground',
+        });
+        const importButton = new Gtk.Button({
+            label: 'Import…',
+            valign: Gtk.Align.CENTER,
+        });
+        importButton.connect('clicked',
+            () => this._importProfile(window, settings));
+        const exportButton = new Gtk.Button({
+            label: 'Export…',
+            valign: Gtk.Align.CENTER,
+        });
+        exportButton.connect('clicked',
+            () => this._exportProfile(window, settings));
+        profileRow.add_suffix(importButton);
+        profileRow.add_suffix(exportButton);
+        presetGroup.add(profileRow);
+
+        let presets = [];
+        let syncing = false;
+
+        // Rebuild the list and select whatever the settings currently match
+        const sync = () => {
+            syncing = true;
+            presets = listPresets(settings);
+            model.splice(0, model.get_n_items(),
+                ['Custom', ...presets.map(p => (p.custom ? `${p.name} (saved)` : p.name))]);
+
+            const active = matchPreset(settings);
+            const index = active ? presets.findIndex(p => p.id === active.id) : -1;
+            presetRow.selected = index + 1;
+            deleteRow.sensitive = active?.custom ?? false;
+            syncing = false;
+        };
+        sync();
+
+        presetRow.connect('notify::selected', () => {
+            const preset = presets[presetRow.selected - 1];
+            if (syncing || !preset)
+                return;
+            applyPreset(settings, preset);
+        });
+
+        saveRow.connect('apply', () => {
+            const name = saveRow.text.trim();
+            if (!name)
+                return;
+            saveCustomPreset(settings, name);
+            saveRow.text = '';
+        });
+
+        deleteButton.connect('clicked', () => {
+            const preset = presets[presetRow.selected - 1];
+            if (preset?.custom)
+                deleteCustomPreset(settings, preset.name);
+        });
+
+        // Any parameter change may switch the active preset or to Custom
+        const changedId = settings.connect('changed', (s, key) => {
+            if (key === 'custom-presets' || paramKeys().includes(key))
+                sync();
+        });
+        presetRow.connect('destroy', () => settings.disconnect(changedId));
+    }
+
+    _exportProfile(window, settings) {
+        const name = matchPreset(settings)?.name ?? 'Custom';
+        const dialog = new Gtk.FileDialog({
+            title: 'Export Glass Profile',
+            initial_name: `${name}.json`,
+            filters: this._profileFilters(),
+        });
+
+        dialog.save(window, null, (d, result) => {
+            let file;
+            try {
+                file = d.save_finish(result);
+            } catch (e) {
+                if (!e.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED))
+                    this._showError(window, 'Could Not Export Profile', e.message);
+                return;
+            }
+
+            try {
+                const bytes = new TextEncoder().encode(serializeProfile(settings, name));
+                file.replace_contents(bytes, null, false,
+                    Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+                window.add_toast(new Adw.Toast({
+                    title: `Exported “${file.get_basename()}”`,
+                }));
+            } catch (e) {
+                this._showError(window, 'Could Not Export Profile', e.message);
+            }
+        });
+    }
+
+    _importProfile(window, settings) {
+        const dialog = new Gtk.FileDialog({
+            title: 'Import Glass Profile',
+            filters: this._profileFilters(),
+        });
+
+        dialog.open(window, null, (d, result) => {
+            let file;
+            try {
+                file = d.open_finish(result);
+            } catch (e) {
+                if (!e.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED))
+                    this._showError(window, 'Could Not Import Profile', e.message);
+                return;
+            }
+
+            try {
+                const [, contents] = file.load_contents(null);
+                const {name, params} = parseProfile(settings,
+                    new TextDecoder().decode(contents));
+                applyParams(settings, params);
+                window.add_toast(new Adw.Toast({
+                    title: `Imported “${name ?? file.get_basename()}”`,
+                }));
+            } catch (e) {
+                const heading = e instanceof ProfileError
+                    ? 'Invalid Glass Profile'
+                    : 'Could Not Import Profile';
+                this._showError(window, heading, e.message);
+            }
+        });
+    }
+
+    _profileFilters() {
+        const filter = new Gtk.FileFilter({name: 'Glass Profiles (JSON)'});
+        filter.add_pattern('*.json');
+        filter.add_mime_type('application/json');
+
+        const filters = new Gio.ListStore({item_type: Gtk.FileFilter});
+        filters.append(filter);
+        return filters;
+    }
+
+    _showError(window, heading, body) {
+        const dialog = new Adw.AlertDialog({heading, body});
+        dialog.add_response('close', 'Close');
+        dialog.present(window);
+    }
+
+    _addPreviewGroup(page, settings) {
+        const description = 'The panel glass with the current settings, drawn by the shell\'s own shader';
+        const previewGroup = new Adw.PreferencesGroup({
+            title: 'Preview',
+            description,
+        });
+        page.add(previewGroup);
+
+        // Most GTK renderers cannot run the shader (see preview.js)
+        const preview = new GlassPreview(settings);
+        preview.connect('notify::glass-shown', () => {
+            previewGroup.description = preview.glass_shown
+                ? description
+                : 'Only the background is shown: GTK\'s renderer here cannot run the glass shader.  The glass on the desktop is not affected';
+        });
+        previewGroup.add(new Gtk.Frame({
+            child: preview,
+            css_classes: ['card'],
+            overflow: Gtk.Overflow.HIDDEN,
+            margin_bottom: 12,
+        }));
+
+        const backgroundRow = new Adw.ComboRow({
+            title: 'Background',
+            subtitle: 'What the preview glass is drawn over',
+            model: Gtk.StringList.new(PREVIEW_BACKGROUNDS.map(([, label]) => label)),
+        });
+        backgroundRow.connect('notify::selected', () => {
+            const [id] = PREVIEW_BACKGROUNDS[backgroundRow.selected] ?? [];
+            if (id)
+                preview.background = id;
+        });
+        previewGroup.add(backgroundRow);
+    }
+
+    _addLensGroup(page, settings) {
+        const lensGroup = new Adw.PreferencesGroup({
+            title: 'Lens',
+            description: 'Shape and material of the glass, on every surface',
+        });
+        page.add(lensGroup);
+
+        this._addSpinRow(lensGroup, settings, {
+            key: 'thickness',
+            title: 'Thickness',
+            subtitle: 'Height of the dome; thicker glass bends more at the rim',
+            min: 0.1, max: 4.0, step: 0.05, digits: 2,
+        });
+
+        this._addSpinRow(lensGroup, settings, {
+            key: 'bevel-width',
+            title: 'Bevel Width',
+            subtitle: 'Curved rim in pixels, flat inside (0 = curve it all)',
+            min: 0.0, max: 200.0, step: 1.0, digits: 0,
+        });
+
+        this._addSpinRow(lensGroup, settings, {
+            key: 'abbe-number',
+            title: 'Abbe Number',
+            subtitle: 'Dispersion of real glass, lower fringes more (0 = use Chromatic Aberration)',
+            min: 0.0, max: 90.0, step: 1.0, digits: 0,
+        });
+
+        this._addSwitchRow(lensGroup, settings, {
+            key: 'spectral-dispersion',
+            title: 'Spectral Dispersion',
+            subtitle: 'Smooth rainbow fringes from seven wavelengths (more GPU)',
+        });
+    }
+
+    _addHighlightGroup(page, settings) {
+        const highlightGroup = new Adw.PreferencesGroup({
+            title: 'Highlight',
+            description: 'Specular reflection of the light on the glass, on every surface',
+        });
+        page.add(highlightGroup);
+
+        this._addSpinRow(highlightGroup, settings, {
+            key: 'highlight-intensity',
+            title: 'Intensity',
+            subtitle: '0 = no highlight',
+            min: 0.0, max: 2.0, step: 0.05, digits: 2,
+        });
+
+        this._addSpinRow(highlightGroup, settings, {
+            key: 'highlight-sharpness',
+            title: 'Sharpness',
+            subtitle: 'Higher values give a smaller, crisper highlight',
+            min: 1.0, max: 400.0, step: 5.0, digits: 0,
+        });
+
+        this._addSwitchRow(highlightGroup, settings, {
+            key: 'highlight-follow-pointer',
+            title: 'Follow the Pointer',
+            subtitle: 'Lean the light toward the mouse near the glass',
+        });
+
+        this._addSwitchRow(highlightGroup, settings, {
+            key: 'highlight-drift',
+            title: 'Ambient Drift',
+            subtitle: 'Slowly move the light on its own (repaints continuously)',
+        });
+    }
+
+    _addAdaptiveGroup(page, settings) {
+        const adaptiveGroup = new Adw.PreferencesGroup({
+            title: 'Light & Dark Style',
+            description: 'Separate tint and edge glow for the system light and dark style',
+        });
+        page.add(adaptiveGroup);
+
+        this._addSwitchRow(adaptiveGroup, settings, {
+            key: 'adaptive-tint',
+            title: 'Adapt to System Style',
+            subtitle: 'Cross-fade to the matching values when the style changes',
+        });
+
+        const rows = [
+            this._addColorRow(adaptiveGroup, settings, {
+                key: 'tint-color-light',
+                title: 'Light Style Tint',
+                subtitle: 'Tint color and opacity with the light style',
+            }),
+            this._addSpinRow(adaptiveGroup, settings, {
+                key: 'fresnel-light',
+                title: 'Light Style Edge Glow',
+                subtitle: 'Fresnel rim with the light style',
+                min: 0.0, max: 1.0, step: 0.01, digits: 2,
+            }),
+            this._addColorRow(adaptiveGroup, settings, {
+                key: 'tint-color-dark',
+                title: 'Dark Style Tint',
+                subtitle: 'Tint color and opacity with the dark style',
+            }),
+            this._addSpinRow(adaptiveGroup, settings, {
+                key: 'fresnel-dark',
+                title: 'Dark Style Edge Glow',
+                subtitle: 'Fresnel rim with the dark style',
+                min: 0.0, max: 1.0, step: 0.01, digits: 2,
+            }),
+        ];
+        for (const row of rows) {
+            settings.bind('adaptive-tint', row, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+        }
+    }
+
+    _addContrastGroup(page, settings) {
+        const contrastGroup = new Adw.PreferencesGroup({
+            title: 'Readability',
+            description: 'Keep panel text readable over bright or busy wallpapers',
+        });
+        page.add(contrastGroup);
+
+        this._addSwitchRow(contrastGroup, settings, {
+            key: 'auto-contrast',
+            title: 'Auto Contrast',
+            subtitle: 'Strengthen the tint or switch to dark text as needed',
+        });
+
+        const ratioRow = this._addSpinRow(contrastGroup, settings, {
+            key: 'min-contrast',
+            title: 'Minimum Contrast Ratio',
+            subtitle: '4.5 is the usual minimum for text, 1 disables',
+            min: 1.0, max: 21.0, step: 0.5, digits: 1,
+        });
+        settings.bind('auto-contrast', ratioRow, 'sensitive',
+            Gio.SettingsBindFlags.GET);
+    }
+
+    _addFloatingGroup(page, settings) {
+        const floatingGroup = new Adw.PreferencesGroup({
+            title: 'Floating Panel',
+            description: 'Detach the panel from the screen edges as a glass island',
+        });
+        page.add(floatingGroup);
+
+        this._addSwitchRow(floatingGroup, settings, {
+            key: 'floating-panel',
+            title: 'Floating Panel',
+            subtitle: 'Maximized windows stay clear of the panel and its margins',
+        });
+
+        const rows = [
+            this._addSpinRow(floatingGroup, settings, {
+                key: 'floating-margin-top',
+                title: 'Top Margin',
+                subtitle: 'Gap above the panel in pixels, kept below it too',
+                min: 0.0, max: 64.0, step: 1.0, digits: 0,
+            }),
+            this._addSpinRow(floatingGroup, settings, {
+                key: 'floating-margin-side',
+                title: 'Side Margin',
+                subtitle: 'Gap to the left and right screen edges in pixels',
+                min: 0.0, max: 500.0, step: 4.0, digits: 0,
+            }),
+            this._addSpinRow(floatingGroup, settings, {
+                key: 'floating-shadow',
+                title: 'Shadow Opacity',
+                subtitle: '0 = no shadow',
+                min: 0.0, max: 1.0, step: 0.05, digits: 2,
+            }),
+        ];
+        for (const row of rows) {
+            settings.bind('floating-panel', row, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+        }
+    }
+
+    _addTouchGroup(page, settings) {
+        const touchGroup = new Adw.PreferencesGroup({
+            title: 'Windows Touching the Panel',
+            description: 'The free look is the Appearance and Tint above; ' +
+                'this is the look while a window is maximized or against the panel',
+        });
+        page.add(touchGroup);
+
+        this._addSwitchRow(touchGroup, settings, {
+            key: 'window-touch',
+            title: 'React to Windows',
+            subtitle: 'Fade between the free and the touched look',
+        });
+
+        const rows = [
+            this._addSpinRow(touchGroup, settings, {
+                key: 'touched-tint-opacity',
+                title: 'Touched Tint Opacity',
+                subtitle: 'Replaces the tint color\'s opacity',
+                min: 0.0, max: 1.0, step: 0.05, digits: 2,
+            }),
+            this._addSpinRow(touchGroup, settings, {
+                key: 'touched-blur',
+                title: 'Touched Blur',
+                subtitle: 'Gaussian radius in pixels (0 = sharp)',
+                min: 0.0, max: 50.0, step: 1.0, digits: 0,
+            }),
+        ];
+        for (const row of rows) {
+            settings.bind('window-touch', row, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+        }
+    }
+
+    _addMenuPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: 'Menus',
+            icon_name: 'open-menu-symbolic',
+        });
+        window.add(page);
+
+        const menuGroup = new Adw.PreferencesGroup({
+            title: 'Popup Menus',
+            description: 'Panel indicator menus and Quick Settings',
+        });
+        page.add(menuGroup);
+
+        this._addSwitchRow(menuGroup, settings, {
+            key: 'apply-to-menus',
+            title: 'Apply to Menus',
+            subtitle: 'Draw glass behind popup menus opened from the panel',
+        });
+
+        this._addSwitchRow(menuGroup, settings, {
+            key: 'menu-custom-params',
+            title: 'Custom Menu Parameters',
+            subtitle: 'Use the values below instead of the panel\'s',
+        });
+
+        // Menus usually want more blur and tint than the bar, so they
+        // carry a full parameter set of their own
+        for (const group of this._addParamGroups(page, settings, 'menu-')) {
+            settings.bind('menu-custom-params', group, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+        }
+    }
+
+    _addOverviewPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: 'Overview',
+            icon_name: 'view-app-grid-symbolic',
+        });
+        window.add(page);
+
+        const overviewGroup = new Adw.PreferencesGroup({
+            title: 'Panel in the Overview',
+            description: 'The panel sits on the overview\'s backdrop while Activities is open',
+        });
+        page.add(overviewGroup);
+
+        this._addSwitchRow(overviewGroup, settings, {
+            key: 'overview-morph',
+            title: 'Follow the Overview',
+            subtitle: 'Refract the overview\'s backdrop instead of the wallpaper',
+        });
+
+        this._addSwitchRow(overviewGroup, settings, {
+            key: 'overview-custom-params',
+            title: 'Custom Overview Parameters',
+            subtitle: 'Use the values below instead of the panel\'s',
+        });
+
+        for (const group of this._addParamGroups(page, settings, 'overview-')) {
+            settings.bind('overview-custom-params', group, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+        }
+    }
+
+    _addLockPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: 'Lock Screen',
+            icon_name: 'system-lock-screen-symbolic',
+        });
+        window.add(page);
+
+        const lockGroup = new Adw.PreferencesGroup({
+            title: 'Lock Screen',
+            description: 'The clock, notifications and unlock prompt',
+        });
+        page.add(lockGroup);
+
+        this._addSwitchRow(lockGroup, settings, {
+            key: 'apply-to-lock-screen',
+            title: 'Apply to Lock Screen',
+            subtitle: 'Refracts the lock screen background; windows are never shown',
+        });
+
+        this._addSwitchRow(lockGroup, settings, {
+            key: 'lock-custom-params',
+            title: 'Custom Lock Screen Parameters',
+            subtitle: 'Use the values below instead of the panel\'s',
+        });
+
+        for (const group of this._addParamGroups(page, settings, 'lock-')) {
+            settings.bind('lock-custom-params', group, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+        }
+    }
+
+    _addWindowsPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: 'Windows',
+            icon_name: 'focus-windows-symbolic',
+        });
+        window.add(page);
+
+        const windowGroup = new Adw.PreferencesGroup({
+            title: 'Window Titlebars',
+            description: 'Glass behind the titlebar or header bar of windows, ' +
+                'refracting what lies behind the window',
+        });
+        page.add(windowGroup);
+
+        this._addSwitchRow(windowGroup, settings, {
+            key: 'apply-to-windows',
+            title: 'Apply to Titlebars',
+            subtitle: 'Each window with glass is rendered offscreen (more GPU)',
+        });
+
+        const rows = [
+            this._addChoiceRow(windowGroup, settings, {
+                key: 'window-scope',
+                title: 'Windows',
+                subtitle: 'Which windows get a glass titlebar',
+                choices: [
+                    ['focused', 'Focused Window'],
+                    ['all', 'All Windows'],
+                ],
+            }),
+            this._addSpinRow(windowGroup, settings, {
+                key: 'window-titlebar-opacity',
+                title: 'Titlebar Opacity',
+                subtitle: 'How much of the window\'s own titlebar covers the glass',
+                min: 0.0, max: 1.0, step: 0.05, digits: 2,
+            }),
+            this._addSpinRow(windowGroup, settings, {
+                key: 'window-titlebar-height',
+                title: 'Header Bar Height',
+                subtitle: 'For apps that draw their own header bar',
+                min: 16.0, max: 120.0, step: 1.0, digits: 0,
+            }),
+        ];
+
+        // ── Window types ──
+        const typesGroup = new Adw.PreferencesGroup({
+            title: 'Window Types',
+        });
+        page.add(typesGroup);
+
+        const types = [
+            ['normal', 'Normal Windows', 'Regular application windows'],
+            ['dialog', 'Dialogs', 'Free-standing dialogs'],
+            ['modal-dialog', 'Modal Dialogs', 'Dialogs attached to their parent'],
+            ['utility', 'Utility Windows', 'Palettes and tool windows'],
+        ];
+        const typeRows = types.map(([id, title, subtitle]) => {
+            const row = new Adw.SwitchRow({title, subtitle});
+            typesGroup.add(row);
+            return [id, row];
+        });
+
+        let syncingTypes = false;
+        const syncTypes = () => {
+            syncingTypes = true;
+            const active = settings.get_strv('window-types');
+            for (const [id, row] of typeRows)
+                row.active = active.includes(id);
+            syncingTypes = false;
+        };
+        syncTypes();
+
+        for (const [, row] of typeRows) {
+            row.connect('notify::active', () => {
+                if (syncingTypes)
+                    return;
+                settings.set_strv('window-types', typeRows
+                    .filter(([, r]) => r.active).map(([id]) => id));
+            });
+        }
+
+        // ── Apps ──
+        const appsGroup = new Adw.PreferencesGroup({
+            title: 'Apps',
+            description: 'Only these apps get a glass titlebar, or every app ' +
+                'while none are listed; match by app ID or WM_CLASS',
+        });
+        page.add(appsGroup);
+
+        const addRow = new Adw.EntryRow({
+            title: 'Add App ID or WM_CLASS…',
+            show_apply_button: true,
+        });
+        appsGroup.add(addRow);
+
+        addRow.connect('apply', () => {
+            const appId = addRow.text.trim();
+            if (!appId)
+                return;
+            const apps = settings.get_strv('window-apps');
+            if (!apps.includes(appId))
+                settings.set_strv('window-apps', [...apps, appId]);
+            addRow.text = '';
+        });
+
+        let appRows = [];
+        const syncApps = () => {
+            for (const row of appRows)
+                appsGroup.remove(row);
+
+            appRows = settings.get_strv('window-apps').map(appId => {
+                const row = new Adw.ActionRow({title: appId});
+                const removeButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                    tooltip_text: 'Remove App',
+                });
+                removeButton.connect('clicked', () => {
+                    settings.set_strv('window-apps', settings.get_strv('window-apps')
+                        .filter(id => id !== appId));
+                });
+                row.add_suffix(removeButton);
+
+                appsGroup.add(row);
+                return row;
+            });
+        };
+        syncApps();
+
+        for (const widget of [...rows, typesGroup, appsGroup]) {
+            settings.bind('apply-to-windows', widget, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+        }
+
+        const changedIds = [
+            settings.connect('changed::window-types', syncTypes),
+            settings.connect('changed::window-apps', syncApps),
+        ];
+        page.connect('destroy', () => {
+            for (const id of changedIds)
+                settings.disconnect(id);
+        });
+    }
+
+    _addRulesPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: 'Rules',
+            icon_name: 'application-x-executable-symbolic',
+        });
+        window.add(page);
+
+        const fullscreenGroup = new Adw.PreferencesGroup({
+            title: 'Fullscreen',
+        });
+        page.add(fullscreenGroup);
+
+        this._addChoiceRow(fullscreenGroup, settings, {
+            key: 'fullscreen-rule',
+            title: 'Fullscreen Windows',
+            subtitle: 'While a fullscreen game or video has the focus',
+            choices: [
+                ['none', 'Keep Glass'],
+                ['disable', 'Disable Glass'],
+                ['opaque', 'Opaque Panel'],
+            ],
+        });
+
+        const rulesGroup = new Adw.PreferencesGroup({
+            title: 'App Rules',
+            description: 'Applied while the app has the focus; match by app ID ' +
+                '(e.g. org.gimp.GIMP) or WM_CLASS',
+        });
+        page.add(rulesGroup);
+
+        const addRow = new Adw.EntryRow({
+            title: 'Add App ID or WM_CLASS…',
+            show_apply_button: true,
+        });
+        rulesGroup.add(addRow);
+
+        addRow.connect('apply', () => {
+            const appId = addRow.text.trim();
+            if (!appId)
+                return;
+            if (!loadRules(settings).some(([id]) => id === appId))
+                saveRule(settings, appId, 'opaque');
+            addRow.text = '';
+        });
+
+        let rows = [];
+        let writing = false;
+
+        const sync = () => {
+            if (writing)
+                return;
+
+            for (const row of rows)
+                rulesGroup.remove(row);
+
+            const actions = [
+                ['disable', 'Disable Glass'],
+                ['opaque', 'Opaque Panel'],
+                ...listPresets(settings).map(p =>
+                    [`${PRESET_ACTION_PREFIX}${p.id}`, `Preset: ${p.name}`]),
+            ];
+
+            rows = loadRules(settings).map(([appId, action]) => {
+                // Keep a rule naming a deleted preset visible as such
+                const choices = actions.some(([id]) => id === action)
+                    ? actions
+                    : [...actions, [action, `Unknown (${action})`]];
+
+                const row = new Adw.ComboRow({
+                    title: appId,
+                    model: Gtk.StringList.new(choices.map(([, label]) => label)),
+                    selected: choices.findIndex(([id]) => id === action),
+                });
+                row.connect('notify::selected', () => {
+                    const [id] = choices[row.selected] ?? [];
+                    if (!id || id === action)
+                        return;
+                    action = id;
+                    writing = true;
+                    saveRule(settings, appId, id);
+                    writing = false;
+                });
+
+                const removeButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                    tooltip_text: 'Remove Rule',
+                });
+                removeButton.connect('clicked', () => deleteRule(settings, appId));
+                row.add_suffix(removeButton);
+
+                rulesGroup.add(row);
+                return row;
+            });
+        };
+        sync();
+
+        const changedIds = ['app-rules', 'custom-presets'].map(key =>
+            settings.connect(`changed::${key}`, sync));
+        page.connect('destroy', () => {
+            for (const id of changedIds)
+                settings.disconnect(id);
+        });
+    }
+
+    /**
+     * Add the Refraction, Appearance and Tint groups for one parameter set.
+     * `prefix` selects the set ('' for the global one, 'menu-' for menus,
+     * 'overview-' for the panel in the overview, 'lock-' for the lock
+     * screen).
+     */
+    _addParamGroups(page, settings, prefix) {
         // ── Refraction ──
         const refractionGroup = new Adw.PreferencesGroup({
             title: 'Refraction',
@@ -38,21 +936,21 @@ export default class GnomeLiquidePreferences extends ExtensionPreferences {
         page.add(refractionGroup);
 
         this._addSpinRow(refractionGroup, settings, {
-            key: 'ior',
+            key: `${prefix}ior`,
             title: 'Index of Refraction',
             subtitle: '1.0 = no refraction, 2.0 = heavy',
             min: 1.0, max: 2.0, step: 0.01, digits: 2,
         });
 
         this._addSpinRow(refractionGroup, settings, {
-            key: 'distortion',
+            key: `${prefix}distortion`,
             title: 'Distortion Scale',
             subtitle: 'Overall displacement magnitude',
             min: 0.0, max: 3.0, step: 0.05, digits: 2,
         });
 
         this._addSpinRow(refractionGroup, settings, {
-            key: 'chromatic-aberration',
+            key: `${prefix}chromatic-aberration`,
             title: 'Chromatic Aberration',
             subtitle: 'Color fringing at edges (0 = off, saves GPU)',
             min: 0.0, max: 0.05, step: 0.001, digits: 3,
@@ -65,25 +963,52 @@ export default class GnomeLiquidePreferences extends ExtensionPreferences {
         });
         page.add(appearanceGroup);
 
-        this._addSpinRow(appearanceGroup, settings, {
-            key: 'corner-radius',
+        this._addChoiceRow(appearanceGroup, settings, {
+            key: `${prefix}shape`,
+            title: 'Shape',
+            subtitle: 'Outline the refraction follows',
+            choices: [
+                ['rounded', 'Rounded'],
+                ['pill', 'Pill'],
+                ['squircle', 'Squircle'],
+            ],
+        });
+
+        const radiusRow = this._addSpinRow(appearanceGroup, settings, {
+            key: `${prefix}corner-radius`,
             title: 'Corner Radius',
             subtitle: 'Rounded corners of the glass shape (px)',
             min: 0.0, max: 100.0, step: 1.0, digits: 0,
         });
 
-        this._addSpinRow(appearanceGroup, settings, {
-            key: 'fresnel',
+        const cornersRow = this._addCornersRow(appearanceGroup, settings, {
+            key: `${prefix}rounded-corners`,
+            title: 'Rounded Corners',
+            subtitle: 'The others stay square',
+        });
+
+        // Pill ends are always fully round
+        const syncShape = () => {
+            const pill = settings.get_string(`${prefix}shape`) === 'pill';
+            radiusRow.sensitive = !pill;
+            cornersRow.sensitive = !pill;
+        };
+        syncShape();
+        const shapeId = settings.connect(`changed::${prefix}shape`, syncShape);
+        radiusRow.connect('destroy', () => settings.disconnect(shapeId));
+
+        const fresnelRow = this._addSpinRow(appearanceGroup, settings, {
+            key: `${prefix}fresnel`,
             title: 'Fresnel Edge Glow',
             subtitle: 'Bright rim from Fresnel reflection',
             min: 0.0, max: 1.0, step: 0.01, digits: 2,
         });
 
         this._addSpinRow(appearanceGroup, settings, {
-            key: 'blur',
+            key: `${prefix}blur`,
             title: 'Background Blur',
-            subtitle: 'Blur radius (0 = sharp, higher = more GPU load)',
-            min: 0.0, max: 10.0, step: 0.5, digits: 1,
+            subtitle: 'Gaussian radius in pixels (0 = sharp)',
+            min: 0.0, max: 50.0, step: 0.5, digits: 1,
         });
 
         // ── Tint (color picker) ──
@@ -92,61 +1017,86 @@ export default class GnomeLiquidePreferences extends ExtensionPreferences {
         });
         page.add(tintGroup);
 
-        const colorRow = new Adw.ActionRow({
+        const tintRow = this._addColorRow(tintGroup, settings, {
+            key: `${prefix}tint-color`,
             title: 'Glass Tint Color',
             subtitle: 'Color and opacity of the glass overlay',
         });
-        const colorDialog = new Gtk.ColorDialog({
-            with_alpha: true,
-        });
-        const colorButton = new Gtk.ColorDialogButton({
-            dialog: colorDialog,
-            valign: Gtk.Align.CENTER,
-        });
 
-        // Load initial color from settings
-        const initRgba = this._hexToRgba(settings.get_string('tint-color'));
-        colorButton.set_rgba(initRgba);
+        // The global set takes these from the Light & Dark Style group
+        // while adaptive tinting is on
+        if (!prefix) {
+            for (const row of [fresnelRow, tintRow]) {
+                settings.bind('adaptive-tint', row, 'sensitive',
+                    Gio.SettingsBindFlags.GET | Gio.SettingsBindFlags.INVERT_BOOLEAN);
+            }
+            this._addWallpaperTintRows(tintGroup, settings);
+        }
+
+        return [refractionGroup, appearanceGroup, tintGroup];
+    }
 
-        // Save on change
-        colorButton.connect('notify::rgba', () => {
-            const c = colorButton.get_rgba();
-            const hex = this._rgbaToHex(c);
-            settings.set_string('tint-color', hex);
+    _addWallpaperTintRows(group, settings) {
+        this._addChoiceRow(group, settings, {
+            key: 'wallpaper-tint',
+            title: 'Extract from Wallpaper',
+            subtitle: 'Blend the panel tint toward the wallpaper under it',
+            choices: [
+                ['off', 'Off'],
+                ['average', 'Average Color'],
+                ['dominant', 'Dominant Color'],
+            ],
         });
 
-        colorRow.add_suffix(colorButton);
-        colorRow.set_activatable_widget(colorButton);
-        tintGroup.add(colorRow);
-
-        // ── Reset ──
-        const resetGroup = new Adw.PreferencesGroup();
-        page.add(resetGroup);
+        const strengthRow = this._addSpinRow(group, settings, {
+            key: 'wallpaper-tint-strength',
+            title: 'Wallpaper Strength',
+            subtitle: '0 = your tint, 1 = the wallpaper color',
+            min: 0.0, max: 1.0, step: 0.05, digits: 2,
+        });
 
-        const resetRow = new Adw.ActionRow({
-            title: 'Reset All to Defaults',
-            subtitle: 'Restore factory settings for all parameters',
+        // Read-only: the extension publishes what it computed on D-Bus
+        const resultRow = new Adw.ActionRow({
+            title: 'Resulting Tint',
         });
-        const resetButton = new Gtk.Button({
-            label: 'Reset',
+        const swatch = new Gtk.ColorDialogButton({
+            dialog: new Gtk.ColorDialog({with_alpha: true}),
             valign: Gtk.Align.CENTER,
-            css_classes: ['destructive-action'],
+            can_target: false,
+            focusable: false,
         });
-        resetButton.connect('clicked', () => {
-            for (const key of [
-                'ior', 'chromatic-aberration', 'distortion',
-                'corner-radius', 'fresnel', 'blur',
-                'tint-color', 'apply-to-panel',
-            ]) {
-                settings.reset(key);
-            }
-            // Update color button to match reset value
-            colorButton.set_rgba(
-                this._hexToRgba(settings.get_string('tint-color'))
-            );
+        resultRow.add_suffix(swatch);
+        group.add(resultRow);
+
+        let proxy = null;
+        let proxyChangedId = 0;
+        const sync = () => {
+            const mode = settings.get_string('wallpaper-tint');
+            const hex = proxy?.WallpaperTint ?? '';
+            strengthRow.sensitive = mode !== 'off';
+            resultRow.sensitive = mode !== 'off';
+            swatch.visible = hex !== '';
+            resultRow.subtitle = hex || 'Not measured yet';
+            if (hex)
+                swatch.set_rgba(this._hexToRgba(hex));
+        };
+        sync();
+
+        const changedId = settings.connect('changed::wallpaper-tint', sync);
+        const cancellable = new Gio.Cancellable();
+        new GlassProxy(Gio.DBus.session, BUS_NAME, OBJECT_PATH, (p, error) => {
+            if (error)
+                return;
+            proxy = p;
+            proxyChangedId = proxy.connect('g-properties-changed', sync);
+            sync();
+        }, cancellable, Gio.DBusProxyFlags.DO_NOT_AUTO_START);
+        resultRow.connect('destroy', () => {
+            settings.disconnect(changedId);
+            cancellable.cancel();
+            if (proxyChangedId)
+                proxy.disconnect(proxyChangedId);
         });
-        resetRow.add_suffix(resetButton);
-        resetGroup.add(resetRow);
     }
 
     _addSpinRow(group, settings, {key, title, subtitle, min, max, step, digits}) {
@@ -169,6 +1119,133 @@ export default class GnomeLiquidePreferences extends ExtensionPreferences {
             Gio.SettingsBindFlags.DEFAULT);
 
         group.add(row);
+        return row;
+    }
+
+    _addColorRow(group, settings, {key, title, subtitle}) {
+        const row = new Adw.ActionRow({
+            title,
+            subtitle,
+        });
+        const colorDialog = new Gtk.ColorDialog({
+            with_alpha: true,
+        });
+        const colorButton = new Gtk.ColorDialogButton({
+            dialog: colorDialog,
+            valign: Gtk.Align.CENTER,
+        });
+
+        // Load color from settings (initially, and after a reset)
+        const sync = () => {
+            const hex = settings.get_string(key);
+            if (this._rgbaToHex(colorButton.get_rgba()) !== hex)
+                colorButton.set_rgba(this._hexToRgba(hex));
+        };
+        sync();
+        const changedId = settings.connect(`changed::${key}`, sync);
+        colorButton.connect('destroy', () => settings.disconnect(changedId));
+
+        // Save on change
+        colorButton.connect('notify::rgba', () => {
+            const hex = this._rgbaToHex(colorButton.get_rgba());
+            if (settings.get_string(key) !== hex)
+                settings.set_string(key, hex);
+        });
+
+        row.add_suffix(colorButton);
+        row.set_activatable_widget(colorButton);
+        group.add(row);
+        return row;
+    }
+
+    _addCornersRow(group, settings, {key, title, subtitle}) {
+        const row = new Adw.ActionRow({
+            title,
+            subtitle,
+        });
+        const box = new Gtk.Box({
+            valign: Gtk.Align.CENTER,
+            css_classes: ['linked'],
+        });
+        row.add_suffix(box);
+
+        const corners = [
+            ['top-left', '◤', 'Top Left'],
+            ['top-right', '◥', 'Top Right'],
+            ['bottom-left', '◣', 'Bottom Left'],
+            ['bottom-right', '◢', 'Bottom Right'],
+        ];
+        const buttons = corners.map(([id, label, tooltip]) => {
+            const button = new Gtk.ToggleButton({label, tooltip_text: tooltip});
+            box.append(button);
+            return [id, button];
+        });
+
+        let syncing = false;
+        const sync = () => {
+            syncing = true;
+            const active = settings.get_strv(key);
+            for (const [id, button] of buttons)
+                button.active = active.includes(id);
+            syncing = false;
+        };
+        sync();
+
+        // Stored in the schema's order, whatever the layout
+        const order = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+        for (const [, button] of buttons) {
+            button.connect('toggled', () => {
+                if (syncing)
+                    return;
+                const active = order.filter(id =>
+                    buttons.find(([b]) => b === id)[1].active);
+                settings.set_strv(key, active);
+            });
+        }
+        const changedId = settings.connect(`changed::${key}`, sync);
+        row.connect('destroy', () => settings.disconnect(changedId));
+
+        group.add(row);
+        return row;
+    }
+
+    _addSwitchRow(group, settings, {key, title, subtitle}) {
+        const row = new Adw.SwitchRow({
+            title,
+            subtitle,
+        });
+        settings.bind(key, row, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+
+        group.add(row);
+        return row;
+    }
+
+    _addChoiceRow(group, settings, {key, title, subtitle, choices}) {
+        const row = new Adw.ComboRow({
+            title,
+            subtitle,
+            model: Gtk.StringList.new(choices.map(([, label]) => label)),
+        });
+
+        const sync = () => {
+            const value = settings.get_string(key);
+            const index = choices.findIndex(([id]) => id === value);
+            if (index >= 0 && row.selected !== index)
+                row.selected = index;
+        };
+        sync();
+
+        row.connect('notify::selected', () => {
+            const [id] = choices[row.selected] ?? [];
+            if (id && settings.get_string(key) !== id)
+                settings.set_string(key, id);
+        });
+        const changedId = settings.connect(`changed::${key}`, sync);
+        row.connect('destroy', () => settings.disconnect(changedId));
+
+        group.add(row);
+        return row;
     }
 
     _hexToRgba(hex) {
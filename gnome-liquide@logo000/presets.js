@@ -0,0 +1,238 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Named glass looks.  The built-in presets are the tuned PRESETS table of
+// refraction-playground.html; users can save their own under a name in the
+// 'custom-presets' key (a{sa{sv}}: name → GSettings key → value).
+//
+// A preset only covers the global shader parameters (see params.js), and
+// is applied through a delayed Gio.Settings so the shell sees the whole
+// set change at once rather than repainting per key.  Parameters a preset
+// leaves out are part of its look at their defaults, see presetParams().
+//
+// With 'adaptive-tint' on, a set read from the settings (a saved preset,
+// an exported profile, the D-Bus Parameters) also holds the toggle and the
+// light and dark tint and fresnel, see adaptiveKeys() in params.js.  A set
+// without the toggle has only its single tint and fresnel, so applying it
+// turns adaptive tinting off.
+//
+// Used by both the shell side and prefs.js, so keep this module free of
+// Shell imports.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {
+    ADAPTIVE_PARAMS, SHADER_PARAMS, adaptiveKeys, keyRange, paramSpec,
+    readValue, writeValue
+} from './params.js';
+
+// Keys a preset sets
+export const PRESET_KEYS = SHADER_PARAMS.map(p => p.key);
+
+// Keys it also sets with adaptive tinting
+export const ADAPTIVE_KEYS = adaptiveKeys();
+
+// Values are clamped to the schema ranges when applied
+export const BUILTIN_PRESETS = [
+    {
+        id: 'adwaita',
+        name: 'Adwaita',
+        params: {
+            'ior': 1.05, 'chromatic-aberration': 0.003, 'distortion': 0.3,
+            'corner-radius': 12, 'fresnel': 0.15, 'blur': 1,
+            'tint-color': '#ffffff08', 'wave': 0, 'wave-speed': 1,
+        },
+    },
+    {
+        id: 'frosted',
+        name: 'Frosted',
+        params: {
+            'ior': 1.08, 'chromatic-aberration': 0.004, 'distortion': 0.35,
+            'corner-radius': 18, 'fresnel': 0.2, 'blur': 14,
+            'tint-color': '#f0f5ff0f', 'wave': 0, 'wave-speed': 1,
+        },
+    },
+    {
+        id: 'crystal',
+        name: 'Crystal',
+        params: {
+            'ior': 1.85, 'chromatic-aberration': 0.042, 'distortion': 1.6,
+            'corner-radius': 6, 'fresnel': 0.55, 'blur': 0,
+            'tint-color': '#ffffff05', 'wave': 0, 'wave-speed': 1,
+        },
+    },
+    {
+        id: 'liquid',
+        name: 'Liquid',
+        params: {
+            'ior': 1.33, 'chromatic-aberration': 0.012, 'distortion': 0.7,
+            'corner-radius': 32, 'fresnel': 0.3, 'blur': 3,
+            'tint-color': '#e6f2ff0a', 'wave': 1, 'wave-speed': 1,
+        },
+    },
+    {
+        id: 'dark',
+        name: 'Dark Glass',
+        params: {
+            'ior': 1.25, 'chromatic-aberration': 0.008, 'distortion': 0.55,
+            'corner-radius': 12, 'fresnel': 0.45, 'blur': 5,
+            'tint-color': '#1f1f2e80', 'wave': 0, 'wave-speed': 1,
+        },
+    },
+];
+
+const CUSTOM_PREFIX = 'custom:';
+
+/**
+ * User-saved presets, in the same shape as BUILTIN_PRESETS.
+ */
+export function loadCustomPresets(settings) {
+    const stored = settings.get_value('custom-presets').recursiveUnpack();
+    return Object.entries(stored)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, params]) => ({
+            id: `${CUSTOM_PREFIX}${name}`,
+            name,
+            params,
+            custom: true,
+        }));
+}
+
+export function listPresets(settings) {
+    return [...BUILTIN_PRESETS, ...loadCustomPresets(settings)];
+}
+
+/**
+ * Look a preset up by id, or by display name for convenience.
+ */
+export function findPreset(settings, idOrName) {
+    const presets = listPresets(settings);
+    return presets.find(p => p.id === idOrName) ??
+        presets.find(p => p.name === idOrName) ??
+        null;
+}
+
+/**
+ * The preset the current settings match, or null for a custom look.  With
+ * 'adaptive-tint' on only a preset saved with it can.
+ */
+export function matchPreset(settings) {
+    const current = readPresetParams(settings);
+    return listPresets(settings).find(preset => {
+        const params = presetParams(settings, preset);
+        const keys = new Set([...Object.keys(current), ...Object.keys(params)]);
+        return [...keys].every(key => sameValue(current[key], params[key]));
+    }) ?? null;
+}
+
+/**
+ * Every parameter of a preset (GSettings key → value), clamped to the
+ * schema ranges, with the defaults of those it leaves out.  The adaptive
+ * keys are only there if the preset turns adaptive tinting on.
+ */
+export function presetParams(settings, preset) {
+    const keys = preset.params[ADAPTIVE_PARAMS.toggleKey]
+        ? [...PRESET_KEYS, ...ADAPTIVE_KEYS]
+        : PRESET_KEYS;
+
+    const params = {};
+    for (const key of keys) {
+        params[key] = key in preset.params
+            ? clampToRange(settings, key, preset.params[key])
+            : settings.get_default_value(key).recursiveUnpack();
+    }
+    return params;
+}
+
+/**
+ * The current parameter set (GSettings key → value), with the adaptive
+ * keys while adaptive tinting is on.
+ */
+export function readPresetParams(settings) {
+    const keys = settings.get_boolean(ADAPTIVE_PARAMS.toggleKey)
+        ? [...PRESET_KEYS, ...ADAPTIVE_KEYS]
+        : PRESET_KEYS;
+
+    const params = {};
+    for (const key of keys)
+        params[key] = readValue(settings, key, paramSpec(key).type);
+    return params;
+}
+
+/**
+ * Write a parameter set (GSettings key → value) in one batch.  Keys the
+ * set does not mention keep their current value; a tint or fresnel in a
+ * set without the adaptive toggle turns adaptive tinting off.
+ */
+export function applyParams(settings, params) {
+    // A separate settings object, since delay() cannot be undone
+    const batch = new Gio.Settings({settings_schema: settings.settings_schema});
+    batch.delay();
+
+    for (const key of [...PRESET_KEYS, ...ADAPTIVE_KEYS]) {
+        if (!(key in params))
+            continue;
+
+        const {type} = paramSpec(key);
+        const value = type === 'd'
+            ? clampToRange(settings, key, Number(params[key]))
+            : params[key];
+        writeValue(batch, key, type, value);
+    }
+
+    if (!(ADAPTIVE_PARAMS.toggleKey in params) &&
+        ADAPTIVE_PARAMS.keys.some(key => key in params))
+        batch.set_boolean(ADAPTIVE_PARAMS.toggleKey, false);
+
+    batch.apply();
+}
+
+export function applyPreset(settings, preset) {
+    applyParams(settings, presetParams(settings, preset));
+}
+
+/**
+ * Store the current look as a user preset, replacing one of the same name.
+ */
+export function saveCustomPreset(settings, name) {
+    const stored = settings.get_value('custom-presets').deepUnpack();
+    const current = readPresetParams(settings);
+
+    const values = {};
+    for (const [key, value] of Object.entries(current))
+        values[key] = new GLib.Variant(paramSpec(key).type, value);
+    stored[name] = values;
+
+    settings.set_value('custom-presets',
+        new GLib.Variant('a{sa{sv}}', stored));
+}
+
+export function deleteCustomPreset(settings, name) {
+    const stored = settings.get_value('custom-presets').deepUnpack();
+    delete stored[name];
+    settings.set_value('custom-presets',
+        new GLib.Variant('a{sa{sv}}', stored));
+}
+
+/**
+ * Clamp a double value to the range declared for `key` in the schema.
+ */
+export function clampToRange(settings, key, value) {
+    if (typeof value !== 'number')
+        return value;
+
+    const range = keyRange(settings, key);
+    if (!range)
+        return value;
+
+    const [min, max] = range;
+    return Math.min(Math.max(value, min), max);
+}
+
+function sameValue(a, b) {
+    if (typeof a === 'number' && typeof b === 'number')
+        return Math.abs(a - b) < 1e-4;
+    if (Array.isArray(a) && Array.isArray(b))
+        return [...a].sort().join() === [...b].sort().join();
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
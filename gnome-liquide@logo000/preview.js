@@ -0,0 +1,399 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Live glass preview for the preferences window.
+//
+// The lens is drawn by the shell's own fragment shader (see shader.js),
+// built for Gsk.GLShader and fed the uniforms of paramUniforms() exactly as
+// on the shell side.  Its texture is the background under it, blurred by
+// GTK as Shell.BlurEffect blurs it in the shell.
+//
+// Gsk.GLShader is deprecated and only runs on GTK's old 'gl' renderer;
+// 'ngl' and 'vulkan', the defaults, refuse to compile it.  The preview then shows the
+// background alone and clears 'glass-shown', for prefs.js to say so.
+//
+// The scene is PREVIEW_WIDTH × PREVIEW_HEIGHT px, scaled to cover the
+// widget.
+
+import Adw from 'gi://Adw';
+import Gdk from 'gi://Gdk';
+import GdkPixbuf from 'gi://GdkPixbuf';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import Graphene from 'gi://Graphene';
+import Gsk from 'gi://Gsk';
+import Gtk from 'gi://Gtk';
+
+import {paramKeys, readParams} from './params.js';
+import {
+    DEFAULT_LIGHT, blurStages, buildFragmentShader, paramUniforms
+} from './shader.js';
+
+// Scene size (px); it is scaled to the widget
+const PREVIEW_WIDTH = 560;
+const PREVIEW_HEIGHT = 140;
+
+// The lens: a panel-like bar inset from the edges
+const LENS = {x: 24, y: 28, width: 512, height: 40};
+
+// Square size of the checkerboard background (px)
+const CHECKER_SIZE = 14;
+
+export const PREVIEW_BACKGROUNDS = [
+    ['wallpaper', 'Wallpaper'],
+    ['gradient', 'Gradient'],
+    ['checker', 'Checkerboard'],
+];
+
+export const GlassPreview = GObject.registerClass({
+    GTypeName: 'LiquidGlassPreview',
+    Properties: {
+        'glass-shown': GObject.ParamSpec.boolean('glass-shown', null,
+            'Whether the renderer runs the glass shader',
+            GObject.ParamFlags.READABLE, true),
+    },
+}, class GlassPreview extends Gtk.Widget {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     */
+    _init(settings) {
+        super._init({
+            height_request: PREVIEW_HEIGHT,
+            hexpand: true,
+            overflow: Gtk.Overflow.HIDDEN,
+        });
+
+        this._settings = settings;
+        this._background = 'wallpaper';
+        this._textures = new Map();   // background → Gdk.Texture
+        this._shaders = new Map();    // shader source → Gsk.GLShader, or null
+        this._cancellable = null;
+        this._glassShown = true;
+        this._notifyId = 0;
+
+        this._bgSettings = new Gio.Settings({
+            schema_id: 'org.gnome.desktop.background',
+        });
+        this._styleManager = Adw.StyleManager.get_default();
+
+        const keys = [...paramKeys(), 'quality', 'spectral-dispersion'];
+        const ids = [
+            [this._settings, this._settings.connect('changed', (s, key) => {
+                if (keys.includes(key))
+                    this.queue_draw();
+            })],
+            [this._bgSettings, this._bgSettings.connect('changed',
+                () => this._reloadWallpaper())],
+            [this._styleManager, this._styleManager.connect('notify::dark',
+                () => this._reloadWallpaper())],
+        ];
+        this.connect('destroy', () => {
+            for (const [obj, id] of ids)
+                obj.disconnect(id);
+            this._cancellable?.cancel();
+            if (this._notifyId)
+                GLib.source_remove(this._notifyId);
+            this._notifyId = 0;
+        });
+    }
+
+    /**
+     * Whether the glass is drawn, false while the renderer cannot run its
+     * shader and only the background shows.
+     */
+    get glass_shown() {
+        return this._glassShown;
+    }
+
+    /**
+     * What the glass is drawn over, one of PREVIEW_BACKGROUNDS.
+     */
+    set background(background) {
+        if (background === this._background)
+            return;
+        this._background = background;
+        this.queue_draw();
+    }
+
+    vfunc_unrealize() {
+        // Shaders are compiled for the renderer of the window
+        this._shaders.clear();
+        super.vfunc_unrealize();
+    }
+
+    vfunc_snapshot(snapshot) {
+        const texture = this._backgroundTexture();
+        if (!texture)
+            return;
+
+        // Cover the widget, like Gtk.ContentFit.COVER
+        const width = this.get_width();
+        const height = this.get_height();
+        const scale = Math.max(width / PREVIEW_WIDTH, height / PREVIEW_HEIGHT);
+        snapshot.save();
+        snapshot.translate(new Graphene.Point({
+            x: (width - PREVIEW_WIDTH * scale) / 2,
+            y: (height - PREVIEW_HEIGHT * scale) / 2,
+        }));
+        snapshot.scale(scale, scale);
+
+        const scene = new Graphene.Rect().init(0, 0, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+        snapshot.append_texture(texture, scene);
+        this._snapshotGlass(snapshot, texture, scene);
+        snapshot.restore();
+    }
+
+    // ── Private ──
+
+    _snapshotGlass(snapshot, texture, scene) {
+        const shader = this._shader();
+        this._setGlassShown(!!shader);
+        if (!shader)
+            return;
+
+        const params = readParams(this._settings, 'panel', this._styleManager.dark);
+        const {preBlur, kernel} = blurStages(this._settings.get_string('quality'),
+            Math.round(params.blur));
+
+        // A still frame: no wave clock, no drift, no pointer
+        const uniforms = {
+            ...paramUniforms({
+                ...params,
+                light: DEFAULT_LIGHT,
+                drift: false,
+                tint: parseRgba(params.tintColor),
+                scale: 1,
+                inset: 0,
+                shadow: 0,
+                kernel,
+            }),
+            width: LENS.width,
+            height: LENS.height,
+            u_time: 0,
+        };
+
+        const builder = Gsk.ShaderArgsBuilder.new(shader, null);
+        for (const [name, value] of Object.entries(uniforms)) {
+            const index = shader.find_uniform_by_name(name);
+            if (index >= 0)
+                builder.set_float(index, value);
+        }
+
+        const lens = new Graphene.Rect().init(LENS.x, LENS.y, LENS.width, LENS.height);
+        snapshot.push_gl_shader(shader, lens, builder.to_args());
+
+        // The shell blurs the background before the shader (see GlassTarget)
+        const blur = preBlur >= 1;
+        if (blur)
+            snapshot.push_blur(preBlur);
+        snapshot.append_texture(texture, scene);
+        if (blur)
+            snapshot.pop();
+
+        snapshot.gl_shader_pop_texture();
+        snapshot.pop();
+    }
+
+    // The lens shader for the current quality, compiled for this widget's
+    // renderer, or null if that renderer cannot run it
+    _shader() {
+        const source = buildFragmentShader(this._settings.get_string('quality'), {
+            spectral: this._settings.get_boolean('spectral-dispersion'),
+            backend: 'gsk',
+        });
+        if (this._shaders.has(source))
+            return this._shaders.get(source);
+
+        let shader = Gsk.GLShader.new_from_bytes(
+            new GLib.Bytes(new TextEncoder().encode(source)));
+        try {
+            shader.compile(this.get_native().get_renderer());
+        } catch {
+            shader = null;
+        }
+        this._shaders.set(source, shader);
+        return shader;
+    }
+
+    // Listeners may change widgets, which a snapshot must not: notify once
+    // the frame is done
+    _setGlassShown(shown) {
+        if (shown === this._glassShown)
+            return;
+
+        this._glassShown = shown;
+        if (this._notifyId)
+            return;
+
+        this._notifyId = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+            this._notifyId = 0;
+            this.notify('glass-shown');
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _reloadWallpaper() {
+        this._cancellable?.cancel();
+        this._cancellable = null;
+        this._textures.delete('wallpaper');
+        this.queue_draw();
+    }
+
+    // The current background, or null while loading
+    _backgroundTexture() {
+        const cached = this._textures.get(this._background);
+        if (cached)
+            return cached;
+
+        let pixels;
+        if (this._background === 'gradient') {
+            pixels = gradientPixels();
+        } else if (this._background === 'checker') {
+            pixels = checkerPixels();
+        } else {
+            this._loadWallpaper();
+            return null;
+        }
+
+        const texture = pixelsTexture(pixels);
+        this._textures.set(this._background, texture);
+        return texture;
+    }
+
+    _loadWallpaper() {
+        if (this._cancellable)
+            return;
+
+        const cancellable = new Gio.Cancellable();
+        this._cancellable = cancellable;
+
+        const done = pixels => {
+            if (cancellable.is_cancelled())
+                return;
+            this._cancellable = null;
+            this._textures.set('wallpaper', pixelsTexture(pixels));
+            this.queue_draw();
+        };
+
+        // Wallpapers that cannot be decoded show the background color
+        const [r, g, b] = parseRgba(this._bgSettings.get_string('primary-color'));
+        const fallback = () => done(solidPixels([r, g, b]));
+
+        const uri = this._bgSettings.get_string(
+            this._styleManager.dark ? 'picture-uri-dark' : 'picture-uri') ||
+            this._bgSettings.get_string('picture-uri');
+        if (!uri) {
+            fallback();
+            return;
+        }
+
+        Gio.File.new_for_uri(uri).read_async(GLib.PRIORITY_DEFAULT, cancellable,
+            (f, readResult) => {
+                let stream;
+                try {
+                    stream = f.read_finish(readResult);
+                } catch {
+                    fallback();
+                    return;
+                }
+
+                GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(stream,
+                    PREVIEW_WIDTH * 2, PREVIEW_WIDTH * 2, true, cancellable,
+                    (s, result) => {
+                        let pixbuf;
+                        try {
+                            pixbuf = GdkPixbuf.Pixbuf.new_from_stream_finish(result);
+                        } catch {
+                            fallback();
+                            return;
+                        } finally {
+                            stream.close_async(GLib.PRIORITY_DEFAULT, null, null);
+                        }
+                        done(coverPixels(pixbuf));
+                    });
+            });
+    }
+});
+
+// effect.js's parseColor() pulls in Clutter, which prefs cannot load
+function parseRgba(color) {
+    const rgba = new Gdk.RGBA();
+    if (!rgba.parse(color))
+        return [0, 0, 0, 0];
+    return [rgba.red, rgba.green, rgba.blue, rgba.alpha];
+}
+
+// ── Backgrounds (RGB bytes, PREVIEW_WIDTH × PREVIEW_HEIGHT) ──
+
+function pixelsTexture(pixels) {
+    return Gdk.MemoryTexture.new(PREVIEW_WIDTH, PREVIEW_HEIGHT,
+        Gdk.MemoryFormat.R8G8B8, new GLib.Bytes(pixels), PREVIEW_WIDTH * 3);
+}
+
+function solidPixels(rgb) {
+    const pixels = new Uint8Array(PREVIEW_WIDTH * PREVIEW_HEIGHT * 3);
+    for (let i = 0; i < pixels.length; i++)
+        pixels[i] = Math.round(rgb[i % 3] * 255);
+    return pixels;
+}
+
+// Scaled and cropped to fill the preview, like the 'zoom' picture option
+function coverPixels(pixbuf) {
+    const iw = pixbuf.get_width();
+    const ih = pixbuf.get_height();
+    const s = Math.max(PREVIEW_WIDTH / iw, PREVIEW_HEIGHT / ih);
+    const sw = Math.max(Math.ceil(iw * s), PREVIEW_WIDTH);
+    const sh = Math.max(Math.ceil(ih * s), PREVIEW_HEIGHT);
+    const scaled = pixbuf.scale_simple(sw, sh, GdkPixbuf.InterpType.BILINEAR);
+
+    const src = scaled.get_pixels();
+    const stride = scaled.get_rowstride();
+    const channels = scaled.get_n_channels();
+    const ox = Math.floor((sw - PREVIEW_WIDTH) / 2);
+    const oy = Math.floor((sh - PREVIEW_HEIGHT) / 2);
+
+    const pixels = new Uint8Array(PREVIEW_WIDTH * PREVIEW_HEIGHT * 3);
+    for (let y = 0; y < PREVIEW_HEIGHT; y++) {
+        for (let x = 0; x < PREVIEW_WIDTH; x++) {
+            const i = (y + oy) * stride + (x + ox) * channels;
+            const o = (y * PREVIEW_WIDTH + x) * 3;
+            pixels[o] = src[i];
+            pixels[o + 1] = src[i + 1];
+            pixels[o + 2] = src[i + 2];
+        }
+    }
+    return pixels;
+}
+
+// A hue sweep with dark diagonal bands, so refraction shows up
+function gradientPixels() {
+    const pixels = new Uint8Array(PREVIEW_WIDTH * PREVIEW_HEIGHT * 3);
+    for (let y = 0; y < PREVIEW_HEIGHT; y++) {
+        for (let x = 0; x < PREVIEW_WIDTH; x++) {
+            const hue = x / PREVIEW_WIDTH * 6;
+            const band = ((x + y * 2) % 48) < 6 ? 0.35 : 1;
+            const light = 0.55 + 0.4 * (1 - y / PREVIEW_HEIGHT);
+            const o = (y * PREVIEW_WIDTH + x) * 3;
+            for (let c = 0; c < 3; c++) {
+                const k = (hue + [0, 4, 2][c]) % 6;
+                const v = Math.min(Math.max(Math.abs(k - 3) - 1, 0), 1);
+                pixels[o + c] = Math.round(v * light * band * 255);
+            }
+        }
+    }
+    return pixels;
+}
+
+function checkerPixels() {
+    const pixels = new Uint8Array(PREVIEW_WIDTH * PREVIEW_HEIGHT * 3);
+    for (let y = 0; y < PREVIEW_HEIGHT; y++) {
+        for (let x = 0; x < PREVIEW_WIDTH; x++) {
+            const odd = (Math.floor(x / CHECKER_SIZE) + Math.floor(y / CHECKER_SIZE)) % 2;
+            const o = (y * PREVIEW_WIDTH + x) * 3;
+            pixels[o] = odd ? 60 : 230;
+            pixels[o + 1] = odd ? 70 : 230;
+            pixels[o + 2] = odd ? 90 : 235;
+        }
+    }
+    return pixels;
+}
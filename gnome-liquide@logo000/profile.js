@@ -0,0 +1,177 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// JSON glass profiles, shared with refraction-playground.html:
+//
+//   {
+//     "format": "gnome-liquide-profile",
+//     "version": 1,
+//     "name": "My Look",
+//     "params": {
+//       "ior": 1.45,
+//       "chromatic-aberration": 0.008,
+//       ...
+//       "tint-color": "#ffffffcc"
+//     }
+//   }
+//
+// "params" is keyed by GSettings key and covers every global shader
+// parameter in params.js, so new parameters join the format automatically.
+// Exported with adaptive tinting on, it also holds "adaptive-tint": true
+// and the light and dark tint and fresnel; without those, importing turns
+// adaptive tinting off (see applyParams).  A profile may leave parameters
+// out; those keep their current value.
+//
+// Used by both the shell side and prefs.js, so keep this module free of
+// Shell imports.
+
+import {keyChoices, keyRange, paramSpec} from './params.js';
+import {readPresetParams} from './presets.js';
+
+export const PROFILE_FORMAT = 'gnome-liquide-profile';
+export const PROFILE_VERSION = 1;
+
+// String parameters without schema choices are RGBA colors
+const COLOR_RE = /^#[0-9a-f]{6}([0-9a-f]{2})?$/i;
+
+export class ProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProfileError';
+    }
+}
+
+/**
+ * Serialize the current global parameters as a profile.
+ */
+export function serializeProfile(settings, name = null) {
+    const profile = {
+        format: PROFILE_FORMAT,
+        version: PROFILE_VERSION,
+    };
+    if (name)
+        profile.name = name;
+    profile.params = readPresetParams(settings);
+
+    return `${JSON.stringify(profile, null, 2)}\n`;
+}
+
+/**
+ * Parse and validate a profile against the schema.
+ *
+ * @returns {{name: ?string, params: object}} params keyed by GSettings key
+ * @throws {ProfileError} describing every problem found
+ */
+export function parseProfile(settings, text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new ProfileError(`The file is not valid JSON: ${e.message}`);
+    }
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data))
+        throw new ProfileError('Expected a JSON object at the top level');
+    if (data.format !== PROFILE_FORMAT)
+        throw new ProfileError(`Not a glass profile ("format" must be "${PROFILE_FORMAT}")`);
+    if (!Number.isInteger(data.version) || data.version < 1)
+        throw new ProfileError('"version" must be a positive integer');
+    if (data.version > PROFILE_VERSION) {
+        throw new ProfileError(
+            `Profile version ${data.version} is newer than this extension supports (${PROFILE_VERSION})`);
+    }
+
+    const raw = data.params;
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw))
+        throw new ProfileError('Missing "params" object');
+
+    const params = validateParams(settings, raw);
+    if (Object.keys(params).length === 0)
+        throw new ProfileError('The profile does not set any parameters');
+
+    return {
+        name: typeof data.name === 'string' ? data.name : null,
+        params,
+    };
+}
+
+/**
+ * Validate parameters keyed by GSettings key against the schema, as found
+ * in a profile's "params" or sent over D-Bus (see dbus.js).
+ *
+ * @returns {object} the parameters, colors lowercased
+ * @throws {ProfileError} describing every problem found
+ */
+export function validateParams(settings, raw) {
+    const params = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(raw)) {
+        const spec = paramSpec(key);
+        if (!spec) {
+            errors.push(`Unknown parameter "${key}"`);
+            continue;
+        }
+
+        if (spec.type === 'b') {
+            if (typeof value !== 'boolean') {
+                errors.push(`"${key}" must be true or false, ` +
+                    `got ${JSON.stringify(value)}`);
+            } else {
+                params[key] = value;
+            }
+            continue;
+        }
+
+        const choices = keyChoices(settings, key);
+        const listChoices = choices?.map(c => `"${c}"`).join(', ');
+
+        if (spec.type === 'as') {
+            if (!Array.isArray(value) ||
+                !value.every(v => typeof v === 'string' && (!choices || choices.includes(v)))) {
+                errors.push(`"${key}" must be a list of ${listChoices ?? 'strings'}, ` +
+                    `got ${JSON.stringify(value)}`);
+            } else {
+                params[key] = value;
+            }
+            continue;
+        }
+
+        if (spec.type === 's' && choices) {
+            if (!choices.includes(value)) {
+                errors.push(`"${key}" must be one of ${listChoices}, ` +
+                    `got ${JSON.stringify(value)}`);
+            } else {
+                params[key] = value;
+            }
+            continue;
+        }
+
+        if (spec.type === 's') {
+            if (typeof value !== 'string' || !COLOR_RE.test(value)) {
+                errors.push(`"${key}" must be a color like "#rrggbb" or "#rrggbbaa", ` +
+                    `got ${JSON.stringify(value)}`);
+            } else {
+                params[key] = value.toLowerCase();
+            }
+            continue;
+        }
+
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`"${key}" must be a number, got ${JSON.stringify(value)}`);
+            continue;
+        }
+
+        const range = keyRange(settings, key);
+        if (range && (value < range[0] || value > range[1])) {
+            errors.push(`"${key}" is ${value}, outside the allowed range ` +
+                `${range[0]} to ${range[1]}`);
+            continue;
+        }
+
+        params[key] = value;
+    }
+
+    if (errors.length > 0)
+        throw new ProfileError(errors.join('\n'));
+
+    return params;
+}
@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Picks the rendering quality tier (see buildFragmentShader in shader.js)
+// from the 'quality' setting.  'auto' means Low while UPower reports the
+// machine running on battery and Balanced otherwise.
+
+import Gio from 'gi://Gio';
+
+export const QUALITY_TIERS = ['low', 'balanced', 'high'];
+
+export class QualityMonitor {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {Function} onChanged - called when the effective tier changes
+     */
+    constructor(settings, onChanged) {
+        this._settings = settings;
+        this._onChanged = onChanged;
+        this._upower = null;
+        this._cancellable = null;
+        this._upowerChangedId = 0;
+        this._settingChangedId = 0;
+        this._quality = 'balanced';
+    }
+
+    enable() {
+        this._quality = this._compute();
+        this._settingChangedId = this._settings.connect('changed::quality',
+            () => this._sync());
+
+        // Without UPower (desktops, containers) 'auto' stays on Balanced
+        this._cancellable = new Gio.Cancellable();
+        Gio.DBusProxy.new_for_bus(Gio.BusType.SYSTEM,
+            Gio.DBusProxyFlags.DO_NOT_AUTO_START,
+            null,
+            'org.freedesktop.UPower',
+            '/org/freedesktop/UPower',
+            'org.freedesktop.UPower',
+            this._cancellable,
+            (o, result) => {
+                try {
+                    this._upower = Gio.DBusProxy.new_for_bus_finish(result);
+                } catch {
+                    return;
+                }
+                this._upowerChangedId = this._upower.connect(
+                    'g-properties-changed', () => this._sync());
+                this._sync();
+            });
+    }
+
+    disable() {
+        this._cancellable?.cancel();
+        this._cancellable = null;
+
+        if (this._upowerChangedId)
+            this._upower.disconnect(this._upowerChangedId);
+        this._upowerChangedId = 0;
+        this._upower = null;
+
+        if (this._settingChangedId)
+            this._settings.disconnect(this._settingChangedId);
+        this._settingChangedId = 0;
+    }
+
+    /**
+     * The effective tier: 'low', 'balanced' or 'high'.
+     */
+    get quality() {
+        return this._quality;
+    }
+
+    // ── Private ──
+
+    _compute() {
+        const setting = this._settings.get_string('quality');
+        if (QUALITY_TIERS.includes(setting))
+            return setting;
+
+        const onBattery = this._upower?.get_cached_property('OnBattery')?.unpack();
+        return onBattery ? 'low' : 'balanced';
+    }
+
+    _sync() {
+        const quality = this._compute();
+        if (quality === this._quality)
+            return;
+
+        this._quality = quality;
+        this._onChanged();
+    }
+}
@@ -0,0 +1,188 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Per-application rules: what the glass does while a given app, or any
+// fullscreen window, has the focus.  'app-rules' maps an app ID or
+// WM_CLASS (case-insensitive, '.desktop' optional) to an action:
+//
+//   'disable'        no glass on any surface; actors show their theme look
+//   'opaque'         the panel drops its glass for a solid background
+//   'preset:<id>'    every surface takes the look of that preset
+//
+// 'fullscreen-rule' applies when the focused window is fullscreen and no
+// app rule matches it.  Scripts can also hold the glass off everywhere
+// through the D-Bus interface (see dbus.js), which beats every rule.
+//
+// Used by both the shell side and prefs.js, so keep this module free of
+// Shell imports.
+
+import GLib from 'gi://GLib';
+
+import {SHADER_PARAMS} from './params.js';
+import {findPreset, presetParams} from './presets.js';
+
+export const PRESET_ACTION_PREFIX = 'preset:';
+
+/**
+ * Normalize an app ID or WM_CLASS for matching.
+ */
+export function normalizeAppId(id) {
+    return id.trim().toLowerCase().replace(/\.desktop$/, '');
+}
+
+/**
+ * The normalized IDs a window can be matched by: its application IDs and
+ * WM_CLASS.
+ */
+export function windowAppIds(window) {
+    return [
+        window.get_gtk_application_id(),
+        window.get_sandboxed_app_id(),
+        window.get_wm_class(),
+        window.get_wm_class_instance(),
+    ].filter(Boolean).map(normalizeAppId);
+}
+
+/**
+ * The stored rules as [app ID, action] pairs, sorted by app ID.
+ */
+export function loadRules(settings) {
+    return Object.entries(settings.get_value('app-rules').deepUnpack())
+        .sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Store the rule for an app, replacing any existing one.
+ */
+export function saveRule(settings, appId, action) {
+    const rules = settings.get_value('app-rules').deepUnpack();
+    rules[appId] = action;
+    settings.set_value('app-rules', new GLib.Variant('a{ss}', rules));
+}
+
+export function deleteRule(settings, appId) {
+    const rules = settings.get_value('app-rules').deepUnpack();
+    delete rules[appId];
+    settings.set_value('app-rules', new GLib.Variant('a{ss}', rules));
+}
+
+export class AppRules {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {Function} onChanged - called when the action in effect changes
+     */
+    constructor(settings, onChanged) {
+        this._settings = settings;
+        this._onChanged = onChanged;
+        this._action = 'none';
+        this._suspended = false;
+        this._signalIds = [];
+        this._settingSignalIds = [];
+    }
+
+    enable() {
+        this._action = this._compute();
+
+        this._connectSignal(global.display, 'notify::focus-window',
+            () => this._sync());
+        this._connectSignal(global.display, 'in-fullscreen-changed',
+            () => this._sync());
+        for (const key of ['app-rules', 'fullscreen-rule', 'custom-presets'])
+            this._connectSetting(key, () => this._sync(true));
+    }
+
+    disable() {
+        for (const {obj, id} of this._signalIds)
+            obj.disconnect(id);
+        this._signalIds = [];
+
+        for (const id of this._settingSignalIds)
+            this._settings.disconnect(id);
+        this._settingSignalIds = [];
+
+        this._action = 'none';
+        this._suspended = false;
+    }
+
+    /**
+     * Whether the glass is held off everywhere, regardless of the rules.
+     * Not saved: it lasts until cleared or the extension is disabled.
+     */
+    get suspended() {
+        return this._suspended;
+    }
+
+    set suspended(suspended) {
+        if (suspended === this._suspended)
+            return;
+
+        this._suspended = suspended;
+        this._onChanged();
+    }
+
+    /**
+     * Whether the glass of the given surface should be off.
+     */
+    isSuspended(surface) {
+        return this._suspended || this._action === 'disable' ||
+            (this._action === 'opaque' && surface === 'panel');
+    }
+
+    /**
+     * Replace parameters (keyed by LiquidGlassEffect property) with those
+     * of the preset a rule asks for, if any.
+     */
+    apply(params) {
+        if (!this._action.startsWith(PRESET_ACTION_PREFIX))
+            return params;
+
+        const preset = findPreset(this._settings,
+            this._action.slice(PRESET_ACTION_PREFIX.length));
+        if (!preset)
+            return params;
+
+        const values = presetParams(this._settings, preset);
+        const result = {...params};
+        for (const {key, prop} of SHADER_PARAMS)
+            result[prop] = values[key];
+        return result;
+    }
+
+    // ── Private ──
+
+    _compute() {
+        const focused = global.display.focus_window;
+        if (!focused)
+            return 'none';
+
+        const rules = new Map(loadRules(this._settings).map(
+            ([id, action]) => [normalizeAppId(id), action]));
+        for (const id of windowAppIds(focused)) {
+            if (rules.has(id))
+                return rules.get(id);
+        }
+
+        if (focused.is_fullscreen())
+            return this._settings.get_string('fullscreen-rule');
+        return 'none';
+    }
+
+    // A preset can change under the same action, so settings force it
+    _sync(force = false) {
+        const action = this._compute();
+        if (action === this._action && !force)
+            return;
+
+        this._action = action;
+        this._onChanged();
+    }
+
+    _connectSignal(obj, signal, callback) {
+        const id = obj.connect(signal, callback);
+        this._signalIds.push({obj, id});
+    }
+
+    _connectSetting(key, callback) {
+        const id = this._settings.connect(`changed::${key}`, callback);
+        this._settingSignalIds.push(id);
+    }
+}
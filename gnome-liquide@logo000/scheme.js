@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Follows the system light/dark style (org.gnome.desktop.interface
+// color-scheme) for the adaptive tint, see ADAPTIVE_PARAMS in params.js.
+// 'default' counts as light, like the shell's own stylesheet does.
+
+import Gio from 'gi://Gio';
+
+export class ColorSchemeMonitor {
+    /**
+     * @param {Function} onChanged - called when isDark changes
+     */
+    constructor(onChanged) {
+        this._onChanged = onChanged;
+        this._interfaceSettings = null;
+        this._changedId = 0;
+        this._dark = false;
+    }
+
+    enable() {
+        this._interfaceSettings = new Gio.Settings({
+            schema_id: 'org.gnome.desktop.interface',
+        });
+        this._dark = this._readDark();
+        this._changedId = this._interfaceSettings.connect('changed::color-scheme',
+            () => this._sync());
+    }
+
+    disable() {
+        if (this._changedId)
+            this._interfaceSettings.disconnect(this._changedId);
+        this._changedId = 0;
+        this._interfaceSettings = null;
+        this._dark = false;
+    }
+
+    /**
+     * Whether the dark style is in use.
+     */
+    get isDark() {
+        return this._dark;
+    }
+
+    // ── Private ──
+
+    _readDark() {
+        return this._interfaceSettings.get_string('color-scheme') === 'prefer-dark';
+    }
+
+    _sync() {
+        const dark = this._readDark();
+        if (dark === this._dark)
+            return;
+
+        this._dark = dark;
+        this._onChanged();
+    }
+}
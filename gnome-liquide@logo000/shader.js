@@ -2,80 +2,435 @@
 // Cogl GLSL fragment shader for Liquid Glass refraction effect.
 // Ported from the WebGL2 playground, optimized for real-time panel compositing.
 //
+// Shapes: a rectangle with per-corner radii, round "pill" ends, or
+// squircle corners (a 4-norm instead of a circle).  The dome is still the
+// ridge-free product of per-axis parabolas, times a corner falloff that
+// reaches zero on the rounded outline, so refraction follows the shape.
+// 'bevel-width' confines the curve to a rim that wide, with flat glass
+// inside it, and 'thickness' scales the dome's height and so its slopes.
+//
+// The view ray refracts into the dome and leaves through the flat base
+// onto the background.  Near a steep rim it can meet the base beyond the
+// critical angle; it is then totally internally reflected, crosses the
+// glass a second time and refracts out through the dome, see through().
+//
+// With an Abbe number ('abbe-number') dispersion follows Cauchy's
+// equation, n(λ) = A + B / λ², pinned to the IOR at the d line.  While
+// that is 0, 'chromatic-aberration' spreads the index as it always did:
+// red up and blue down by the same amount.  Each channel is sampled at one
+// wavelength, or with 'spectral-dispersion' the light is split into
+// SPECTRUM's seven wavelengths for smooth rainbow fringes.
+//
+// A floating panel's texture is larger than the lens by u_inset on every
+// side.  That margin is left transparent apart from a soft drop shadow,
+// so the glass reads as a detached island over whatever is behind it.
+// Docked glass is transparent past its rounded corners in the same way.
+//
+// The background arrives already blurred: GlassTarget runs a
+// Shell.BlurEffect (downsample + separable horizontal/vertical Gaussian)
+// before this shader, whose cost barely depends on the radius.  How much
+// of the 'blur' radius it takes depends on the tier, see blurStages().
+//
+// Quality tiers (see buildFragmentShader):
+//   - Low: one tap, no chromatic aberration, over a texture the pre-pass
+//     always downsamples (see LOW_MIN_BLUR)
+//   - Balanced: one tap per channel with chromatic aberration, or one per
+//     wavelength with spectral dispersion, over the Gaussian pre-pass
+//   - High: like Balanced, but blurred in the shader by the playground's
+//     22-tap golden-angle kernel; unblurred, each tap is 4x rotated-grid
+//     supersampled instead to smooth the steep refraction near the rim
+//
+// The same source drives the preview in the preferences window, which
+// renders it as a Gsk.GLShader instead (see buildFragmentShader and
+// preview.js).  Only the texture lookup and the entry point differ.
+//
 // Performance optimizations vs. playground version:
-//   - Blur: 12 samples (down from 22); single-pass when CA is off (12 vs 66)
+//   - Blur: separable pre-pass instead of a per-fragment spiral, but on
+//     High, and there only up to KERNEL_MAX_RADIUS
 //   - pow() replaced with sqrt chains (2 sqrts vs exp+log)
 //   - Fresnel pow(x,3) replaced with x*x*x
-//   - Specular pow(x,80) replaced with 6 multiplies (repeated squaring)
-//   - Light vectors precomputed as constants (no per-fragment normalize)
 //   - Inverse resolution precomputed once
-//   - CA refract() calls skipped entirely when u_ca ~ 0
+//   - CA refract() calls skipped entirely when the dispersion is ~ 0
 
-export const FRAGMENT_SHADER = `
-uniform sampler2D tex;
+// Glass outlines, by u_shape value
+export const SHAPES = ['rounded', 'pill', 'squircle'];
+
+// Corner names and the radius uniform of each
+export const CORNER_UNIFORMS = [
+    ['top-left', 'u_r_tl'],
+    ['top-right', 'u_r_tr'],
+    ['bottom-right', 'u_r_br'],
+    ['bottom-left', 'u_r_bl'],
+];
+
+// Light direction (x, y over z = 1, y down) when not following the pointer
+export const DEFAULT_LIGHT = [-0.4, 0.6];
+
+// What each quality tier spends its taps on, and how it blurs: 'downsampled'
+// and 'gaussian' leave it all to the pre-pass, 'kernel' blurs in the shader
+export const TIERS = {
+    low: {dispersion: false, supersample: false, blur: 'downsampled'},
+    balanced: {dispersion: true, supersample: false, blur: 'gaussian'},
+    high: {dispersion: true, supersample: true, blur: 'kernel'},
+};
+
+// Smallest pre-pass radius on the Low tier (px).  Shell.BlurEffect blurs
+// at half resolution or less once sigma = radius / 2 exceeds 6, so this
+// keeps the pre-pass cheap and hides the aliasing of the single tap.
+export const LOW_MIN_BLUR = 14;
+
+// Taps of the golden-angle blur kernel (High), as in the playground
+const KERNEL_TAPS = 22;
+
+// Widest kernel radius (px); past it the 22 taps leave visible gaps, so
+// the pre-pass makes up the rest
+export const KERNEL_MAX_RADIUS = 14;
+
+// Fraunhofer lines (µm): the IOR setting is the index at d; the Abbe
+// number relates it to the index difference between F and C
+const LINE_D = 0.5876;
+export const LINE_F = 0.4861;
+export const LINE_C = 0.6563;
+
+/**
+ * How far the index at wavelength `lambda` (µm) lies from the index at the
+ * d line, in units of the F - C spread (Cauchy's equation).
+ */
+export function cauchyOffset(lambda) {
+    const inv2 = l => 1 / (l * l);
+    return (inv2(lambda) - inv2(LINE_D)) / (inv2(LINE_F) - inv2(LINE_C));
+}
+
+/**
+ * The same for 'chromatic-aberration' without an Abbe number: linear in
+ * the wavelength, +1/2 at the C line (red) and -1/2 at F (blue), centred
+ * between them.
+ */
+export function legacyOffset(lambda) {
+    return (lambda - (LINE_C + LINE_F) / 2) / (LINE_C - LINE_F);
+}
+
+// The wavelengths (µm) of spectral dispersion and the share of each sRGB
+// channel they carry.  Every channel's shares add up to one, so glass
+// without dispersion leaves colors as they are.
+export const SPECTRUM = (() => {
+    const bands = [
+        [0.42, [0.10, 0.00, 0.55]],
+        [0.46, [0.00, 0.10, 0.90]],
+        [0.50, [0.00, 0.55, 0.35]],
+        [0.54, [0.10, 1.00, 0.05]],
+        [0.58, [0.70, 0.70, 0.00]],
+        [0.62, [1.00, 0.20, 0.00]],
+        [0.66, [0.55, 0.00, 0.00]],
+    ];
+    const sums = [0, 1, 2].map(c => bands.reduce((sum, [, w]) => sum + w[c], 0));
+    return bands.map(([lambda, w]) => ({
+        lambda,
+        weights: w.map((v, c) => v / sums[c]),
+    }));
+})();
+
+/**
+ * What a shader spends its taps on: the quality tier's TIERS entry, plus
+ * `spectral` when spectral dispersion is asked for and the tier disperses.
+ */
+export function shaderTier(quality, spectral = false) {
+    const tier = TIERS[quality] ?? TIERS.balanced;
+    return {...tier, spectral: tier.dispersion && spectral};
+}
+
+/**
+ * How the tier for `quality` splits a 'blur' radius (px) between the
+ * Shell.BlurEffect pre-pass and the shader's kernel, as {preBlur, kernel}
+ * radii.  Blurs in a row widen roughly in quadrature, so High leaves the
+ * pre-pass only what lies past KERNEL_MAX_RADIUS.
+ */
+export function blurStages(quality, radius) {
+    const tier = TIERS[quality] ?? TIERS.balanced;
+    if (radius < 1)
+        return {preBlur: 0, kernel: 0};
+
+    switch (tier.blur) {
+    case 'downsampled':
+        return {preBlur: Math.max(radius, LOW_MIN_BLUR), kernel: 0};
+    case 'kernel': {
+        const kernel = Math.min(radius, KERNEL_MAX_RADIUS);
+        return {preBlur: Math.round(Math.sqrt(radius ** 2 - kernel ** 2)), kernel};
+    }
+    default:
+        return {preBlur: radius, kernel: 0};
+    }
+}
+
+// GLSL float literal
+const glslFloat = v => v.toFixed(6);
+
+// Background lookup.  invRes = 1.0 / resolution.
+function tapFunction(tier) {
+    if (!tier.supersample) {
+        return `vec3 tap(vec2 uv, vec2 invRes) {
+  return texel(clamp(uv, invRes, 1.0 - invRes)).rgb;
+}`;
+    }
+
+    // Rotated-grid offsets in pixels, or the playground's golden-angle
+    // spiral u_blur px wide
+    let body = `  vec3 s = texel(clamp(uv + vec2( 0.125,  0.375) * invRes, lo, hi)).rgb;
+  s     += texel(clamp(uv + vec2( 0.375, -0.125) * invRes, lo, hi)).rgb;
+  s     += texel(clamp(uv + vec2(-0.125, -0.375) * invRes, lo, hi)).rgb;
+  s     += texel(clamp(uv + vec2(-0.375,  0.125) * invRes, lo, hi)).rgb;
+  return s * 0.25;`;
+    if (tier.blur === 'kernel') {
+        body = `  if (u_blur >= 0.5) {
+    vec3 s = vec3(0.0);
+    const int N = ${KERNEL_TAPS};
+    const float INV_N = 1.0 / ${KERNEL_TAPS}.0;
+    const float GA = 2.39996323;
+    for (int i = 0; i < N; i++) {
+      float fi = float(i);
+      float r  = sqrt((fi + 0.5) * INV_N) * u_blur;
+      float a  = fi * GA;
+      s += texel(clamp(uv + vec2(cos(a), sin(a)) * r * invRes, lo, hi)).rgb;
+    }
+    return s * INV_N;
+  }
+
+${body}`;
+    }
+
+    return `vec3 tap(vec2 uv, vec2 invRes) {
+  vec2 lo = invRes, hi = 1.0 - invRes;
+${body}
+}`;
+}
+
+// Refracted background: per channel when dispersion is on, red at the C
+// line, green at d and blue at F, or per SPECTRUM wavelength
+function sampleBlock(tier) {
+    if (!tier.dispersion)
+        return '  vec3 col = tap(uvG, invRes);';
+
+    // Index at a wavelength by the model u_cauchy picks, kept above 1 so
+    // the ray still enters
+    const ior = lambda => {
+        const legacy = glslFloat(legacyOffset(lambda));
+        const cauchy = glslFloat(cauchyOffset(lambda));
+        return `max(u_ior + u_dn * mix(${legacy}, ${cauchy}, u_cauchy), 1.001)`;
+    };
+
+    let dispersed;
+    if (tier.spectral) {
+        dispersed = SPECTRUM.map(({lambda, weights}, i) =>
+            `    col ${i ? '+' : ' '}= tap(v_uv + through(N, ${ior(lambda)}) * scaleInv, invRes)
+           * vec3(${weights.map(glslFloat).join(', ')});`).join('\n');
+    } else {
+        dispersed = `    col = vec3(
+      tap(v_uv + through(N, ${ior(LINE_C)}) * scaleInv, invRes).r,
+      tap(uvG, invRes).g,
+      tap(v_uv + through(N, ${ior(LINE_F)}) * scaleInv, invRes).b
+    );`;
+    }
+
+    return `  vec3 col;
+  if (u_dn > 0.0001) {
+${dispersed}
+  } else {
+    col = tap(uvG, invRes);
+  }`;
+}
+
+/**
+ * The index spread between the red and the blue sample.  With an Abbe
+ * number it is n_F - n_C, laid out by cauchyOffset(); without one it is
+ * 24 × `ca`, laid out by legacyOffset() so red samples at ior + 12·ca and
+ * blue at ior - 12·ca, as before Abbe numbers existed.
+ */
+export function dispersionSpread(p) {
+    return p.abbe > 0 ? (p.ior - 1) / p.abbe : p.ca * 24;
+}
+
+/**
+ * Uniform values (name → number) for a set of glass parameters, keyed like
+ * the LiquidGlassEffect properties plus `tint` as [r, g, b, a] in 0-1,
+ * `scale`, `inset`, `shadow` and the `kernel` radius of blurStages().
+ * Leaves out width, height and u_time.
+ */
+export function paramUniforms(p) {
+    const uniforms = {
+        u_ior: p.ior,
+        u_dn: dispersionSpread(p),
+        u_cauchy: Number(p.abbe > 0),
+        u_dist: p.dist,
+        u_thick: p.thickness,
+        u_bevel: p.bevel,
+        u_shape: Math.max(SHAPES.indexOf(p.shape), 0),
+        u_fres: p.fres,
+        u_spec: p.specular,
+        u_sharp: p.sharpness,
+        u_light_x: p.light[0],
+        u_light_y: p.light[1],
+        u_drift: Number(p.drift),
+        u_tint_r: p.tint[0],
+        u_tint_g: p.tint[1],
+        u_tint_b: p.tint[2],
+        u_tint_a: p.tint[3],
+        u_scale: p.scale,
+        u_inset: p.inset,
+        u_shadow: p.shadow,
+        u_wave: p.wave,
+        u_blur: p.kernel ?? 0,
+    };
+    for (const [name, uniform] of CORNER_UNIFORMS)
+        uniforms[uniform] = p.corners.includes(name) ? p.cr : 0;
+    return uniforms;
+}
+
+// The background texture and the entry point, by the pipeline the shader
+// is built for.  Gsk.GLShader declares its textures as u_texture1-4, reads
+// them through GskTexture() and calls mainImage() with the position in its
+// bounds.
+const BACKENDS = {
+    cogl: {
+        texture: `uniform sampler2D tex;
+vec4 texel(vec2 uv) {
+  return texture2D(tex, uv);
+}`,
+        main: `void main() {
+  cogl_color_out = glass(cogl_tex_coord_in[0].xy);
+}`,
+    },
+    gsk: {
+        texture: `uniform sampler2D u_texture1;
+vec4 texel(vec2 uv) {
+  return GskTexture(u_texture1, uv);
+}`,
+        main: `void mainImage(out vec4 fragColor, in vec2 fragCoord,
+               in vec2 resolution, in vec2 uv) {
+  fragColor = glass(uv);
+}`,
+    },
+};
+
+/**
+ * Fragment shader source for a quality tier ('low', 'balanced', 'high'),
+ * with spectral dispersion if `spectral` (see shaderTier).  `backend` is
+ * 'cogl' for Clutter.ShaderEffect or 'gsk' for Gsk.GLShader.
+ */
+export function buildFragmentShader(quality, {spectral = false, backend = 'cogl'} = {}) {
+    const tier = shaderTier(quality, spectral);
+    const {texture, main} = BACKENDS[backend];
+    return `
+${texture}
 uniform float width;
 uniform float height;
 uniform float u_ior;
-uniform float u_ca;
+uniform float u_dn;     // red - blue index spread, see dispersionSpread()
+uniform float u_cauchy; // 1 = Cauchy dispersion (Abbe number), 0 = legacy
 uniform float u_dist;
-uniform float u_cr;
+uniform float u_thick;  // dome height, 1 = the default dome
+uniform float u_bevel;  // width of the curved rim (px), 0 = all of it
+uniform float u_r_tl;   // corner radii, 0 = square corner
+uniform float u_r_tr;
+uniform float u_r_br;
+uniform float u_r_bl;
+uniform float u_shape;  // 0 = rounded, 1 = pill, 2 = squircle
 uniform float u_fres;
+uniform float u_light_x;   // light direction over z = 1 (texture y down)
+uniform float u_light_y;
+uniform float u_drift;     // 1 = light slowly circles with u_time
+uniform float u_spec;      // highlight intensity
+uniform float u_sharp;     // highlight exponent
 uniform float u_tint_r;
 uniform float u_tint_g;
 uniform float u_tint_b;
 uniform float u_tint_a;
-uniform float u_blur;
-
-// Precomputed: normalize(vec3(-0.4, 0.6, 1.0))
-// NOTE: const vec3 is unsupported in Cogl GLSL ~1.10; use #define instead
-#define LIGHT_DIR vec3(-0.32444, 0.48666, 0.81110)
-// Precomputed: normalize(LIGHT_DIR + vec3(0, 0, 1))
-#define HALF_VEC  vec3(-0.17045, 0.25568, 0.95156)
-
-float sdf(vec2 p, vec2 h, float r) {
-  r = min(r, min(h.x, h.y));
-  vec2 d = abs(p) - h + r;
-  return min(max(d.x, d.y), 0.0) + length(max(d, 0.0)) - r;
-}
+uniform float u_scale;
+uniform float u_inset;  // margin around the lens (px), 0 = lens fills the texture
+uniform float u_shadow; // drop shadow opacity in that margin
+uniform float u_time;
+uniform float u_wave;
+uniform float u_blur;   // kernel radius (px), see blurStages()
 
-// Golden-angle spiral blur, 12 taps.  invRes = 1.0 / resolution.
-vec3 tap(vec2 uv, vec2 invRes, float blur) {
-  uv = clamp(uv, invRes, 1.0 - invRes);
-  if (blur < 0.5) return texture2D(tex, uv).rgb;
-  vec3 s = vec3(0.0);
-  const int N = 12;
-  const float INV_N = 1.0 / 12.0;
-  const float GA = 2.39996323;
-  for (int i = 0; i < N; i++) {
-    float fi = float(i);
-    float r = sqrt((fi + 0.5) * INV_N) * blur;
-    float a = fi * GA;
-    s += texture2D(tex, clamp(uv + vec2(cos(a), sin(a)) * r * invRes,
-                               invRes, 1.0 - invRes)).rgb;
-  }
-  return s * INV_N;
+${tapFunction(tier)}
+
+// Where the view ray through a point with dome normal N lands, as an
+// offset in units of scaleInv, for the index n.  Each leg of the path
+// inside the glass moves the ray by its direction's xy in those units.
+//
+// The ray refracts into the glass and leaves through the flat base.
+// Beyond the base's critical angle, refract() gives nothing and the base
+// reflects it back up instead: it crosses the glass again and refracts out
+// through the dome, where it went in, as the glass is thin next to the
+// displacement.  Should the dome reflect it as well, it ends there.
+vec2 through(vec3 N, float n) {
+  vec3 B = vec3(0.0, 0.0, 1.0);
+  vec3 T = refract(vec3(0.0, 0.0, -1.0), N, 1.0 / n);
+  if (dot(refract(T, B, n), B) < 0.0)
+    return T.xy;
+
+  vec3 R = reflect(T, B);
+  vec3 E = refract(R, -N, n);
+  return T.xy + R.xy + E.xy;
 }
 
-void main() {
+// The glass at texture coordinate v_uv, premultiplied
+vec4 glass(vec2 v_uv) {
   vec2 res    = vec2(width, height);
   vec2 invRes = 1.0 / res;
-  vec2 v_uv   = cogl_tex_coord_in[0].xy;
 
-  // Pixel coords centred on widget (which IS the lens)
+  // Pixel coords centred on the lens
   vec2 p  = v_uv * res - res * 0.5;
-  vec2 hs = res * 0.5;
-  float cr = min(u_cr, min(hs.x, hs.y));
+  vec2 hs = max(res * 0.5 - u_inset, vec2(1.0));
+
+  // ---- SHAPE ----
+  // Radius of the corner of the quadrant p is in (texture y points down)
+  bool pill     = u_shape > 0.5 && u_shape < 1.5;
+  bool squircle = u_shape > 1.5;
+  float cr = pill ? 1e6 : (p.y < 0.0 ? (p.x < 0.0 ? u_r_tl : u_r_tr)
+                                     : (p.x < 0.0 ? u_r_bl : u_r_br));
+  cr = min(cr, min(hs.x, hs.y));
 
-  float d    = sdf(p, hs, cr);
-  float edge = 1.0 - smoothstep(-1.5, 0.5, d);
+  // Offset into the corner zone, and cn = (distance from the corner
+  // centre / cr)^k with k = 2 (circle) or 4 (squircle), with its gradient
+  vec2 cq = abs(p) - hs + cr;
+  vec2 mq = max(cq, 0.0);
+  float cl, cn;
+  vec2 cnGrad;
+  if (cr < 0.5) {
+    cl = length(mq);
+    cn = 0.0;
+    cnGrad = vec2(0.0);
+  } else if (squircle) {
+    vec2 m2 = mq * mq;
+    cl = sqrt(sqrt(dot(m2, m2)));
+    m2 /= cr * cr;
+    cn = dot(m2, m2);
+    cnGrad = 4.0 * m2 * mq / (cr * cr) * sign(p);
+  } else {
+    cl = length(mq);
+    vec2 m1 = mq / cr;
+    cn = dot(m1, m1);
+    cnGrad = 2.0 * m1 / cr * sign(p);
+  }
+
+  // Anti-aliasing band is measured in device pixels, so it stays crisp
+  // on monitors with a geometry scale above 1
+  float aa   = 1.0 / max(u_scale, 1.0);
+  float d    = min(max(cq.x, cq.y), 0.0) + cl - cr;
+  float edge = 1.0 - smoothstep(-1.5 * aa, 0.5 * aa, d);
 
   // ---- CONVEX DOME (analytically smooth, no SDF ridges) ----
-  vec2 invHs2 = 4.0 * invRes * invRes;  // = 1/(hs^2) since hs = res/2
+  // The parabolas span the bevel, measured in from the edge; inside it
+  // the glass is flat
+  vec2 bw = u_bevel > 0.5 ? min(vec2(u_bevel), hs) : hs;
 
-  vec2 q  = min(abs(p) / hs, vec2(1.0));
+  vec2 q  = clamp((abs(p) - hs + bw) / bw, 0.0, 1.0);
   float ax = max(1.0 - q.x * q.x, 0.0);
   float ay = max(1.0 - q.y * q.y, 0.0);
-  float t  = ax * ay;
+
+  // Corner falloff: 1 away from the corners, 0 on the rounded outline
+  float cf = max(1.0 - cn, 0.0);
+  float t  = ax * ay * cf;
 
   float om  = 1.0 - t;
   float om2 = om * om;
@@ -90,35 +445,31 @@ void main() {
   float hpD = max(sqrtBase * ht, 0.08);
   float hp  = om2 * om / hpD;
 
-  // Height gradient -> dome normal
-  vec2 hGrad = hp * vec2(-2.0 * p.x * invHs2.x * ay,
-                         -2.0 * p.y * invHs2.y * ax);
+  // Height gradient -> dome normal (product rule over the falloff); a
+  // thicker dome has proportionally steeper flanks
+  vec2 rectGrad = vec2(-2.0 * q.x / bw.x * sign(p.x) * ay,
+                       -2.0 * q.y / bw.y * sign(p.y) * ax);
+  vec2 tGrad = rectGrad * cf - (cn < 1.0 ? ax * ay * cnGrad : vec2(0.0));
+  vec2 hGrad = hp * tGrad * u_thick;
 
-  vec3 N = normalize(vec3(-hGrad * 50.0, 1.0));
+  // Wave perturbation (animated "Liquid" mode); u_time only advances
+  // while the wave or the light drift is on, see LiquidGlassEffect
+  vec2 wp = vec2(0.0);
+  if (u_wave > 0.001) {
+    wp = u_wave * vec2(
+      sin(p.x * 0.014 + u_time * 1.8) * cos(p.y * 0.021 + u_time * 1.3),
+      cos(p.x * 0.017 + u_time * 1.5) * sin(p.y * 0.012 + u_time * 2.0)
+    ) * 0.12;
+  }
+
+  vec3 N = normalize(vec3((-hGrad + wp) * 50.0, 1.0));
 
   // ---- SNELL'S LAW REFRACTION ----
-  vec3 I = vec3(0.0, 0.0, -1.0);
   vec2 scaleInv = length(res) * 0.1 * u_dist * invRes;
+  vec2 uvG = v_uv + through(N, u_ior) * scaleInv;
 
-  vec3 rG = refract(I, N, 1.0 / u_ior);
-  if (dot(rG, rG) < 0.001) rG = I;
-  vec2 uvG = v_uv + rG.xy * scaleInv;
-
-  // Sample background -- skip extra refract() calls when CA is off
-  vec3 col;
-  if (u_ca > 0.001) {
-    vec3 rR = refract(I, N, 1.0 / (u_ior + u_ca * 12.0));
-    vec3 rB = refract(I, N, 1.0 / max(u_ior - u_ca * 12.0, 1.001));
-    if (dot(rR, rR) < 0.001) rR = rG;
-    if (dot(rB, rB) < 0.001) rB = rG;
-    col = vec3(
-      tap(v_uv + rR.xy * scaleInv, invRes, u_blur).r,
-      tap(uvG,                      invRes, u_blur).g,
-      tap(v_uv + rB.xy * scaleInv, invRes, u_blur).b
-    );
-  } else {
-    col = tap(uvG, invRes, u_blur);
-  }
+  // Sample background -- skip extra refract() calls without dispersion
+${sampleBlock(tier)}
 
   // ---- FRESNEL  (x^3 via 2 multiplies, no pow) ----
   float nz    = max(N.z, 0.0);
@@ -126,26 +477,38 @@ void main() {
   float fres  = fBase * fBase * fBase * u_fres;
   col += fres * vec3(0.85, 0.9, 1.0);
 
-  // ---- SPECULAR  (x^80 via 6 multiplies, no pow) ----
-  float sb  = max(dot(N, HALF_VEC), 0.0);
-  float s2  = sb  * sb;
-  float s4  = s2  * s2;
-  float s8  = s4  * s4;
-  float s16 = s8  * s8;
-  float s32 = s16 * s16;
-  float s64 = s32 * s32;
-  float spec = s64 * s16 * 0.45;
+  // ---- SPECULAR ----
+  // The light follows the pointer (see LightMonitor) and may drift; the
+  // exponent is a setting, so this one stays a pow()
+  vec2 lxy = vec2(u_light_x, u_light_y);
+  if (u_drift > 0.5)
+    lxy += 0.35 * vec2(sin(u_time * 0.23), cos(u_time * 0.17));
+  vec3 H = normalize(normalize(vec3(lxy, 1.0)) + vec3(0.0, 0.0, 1.0));
+  float spec = pow(max(dot(N, H), 0.0), u_sharp) * u_spec;
   col += spec * vec3(1.0, 0.98, 0.95);
 
   // ---- TINT + edge brightness ----
   col = mix(col, col * vec3(u_tint_r, u_tint_g, u_tint_b), u_tint_a);
   col += (1.0 - ht) * 0.012;
 
-  // ---- COMPOSITE with untouched background at rounded-rect edge ----
-  vec3 bg = texture2D(tex, v_uv).rgb;
-  cogl_color_out = vec4(mix(bg, col, edge), 1.0);
+  // ---- COMPOSITE ----
+  if (u_inset > 0.5) {
+    // Floating: premultiplied glass over a shadow cast slightly downward,
+    // fading out before the texture border (sd <= 0.75 * u_inset there)
+    vec2 sq  = abs(p - vec2(0.0, u_inset * 0.25)) - hs + cr;
+    float sd = min(max(sq.x, sq.y), 0.0) + length(max(sq, 0.0)) - cr;
+    float shadow = u_shadow * (1.0 - smoothstep(-0.5 * u_inset, 0.75 * u_inset, sd));
+    return vec4(col * edge, edge + (1.0 - edge) * shadow);
+  }
+
+  // Docked: transparent outside the rounded rect.  The texture is blurred
+  // by then, so the unblurred scene behind the glass shows through instead.
+  return vec4(col * edge, edge);
 }
+
+${main}
 `;
+}
 
 // Minimal test shader: tints wallpaper red to verify pipeline works.
 // If this shader produces visible output but FRAGMENT_SHADER does not,
@@ -157,3 +520,23 @@ void main() {
   cogl_color_out = vec4(c.r * 1.5, c.g * 0.3, c.b * 0.3, 1.0);
 }
 `;
+
+// Fades a band of an actor (see BandFadeEffect): premultiplied, so the
+// whole pixel scales.  The band is in pixels of the actor.
+export const BAND_FADE_SHADER = `
+uniform sampler2D tex;
+uniform float width;
+uniform float height;
+uniform float u_band_x;
+uniform float u_band_y;
+uniform float u_band_w;
+uniform float u_band_h;
+uniform float u_opacity;
+void main() {
+  vec2 uv = cogl_tex_coord_in[0].xy;
+  vec2 p  = uv * vec2(width, height) - vec2(u_band_x, u_band_y);
+  bool inBand = p.x >= 0.0 && p.y >= 0.0 && p.x < u_band_w && p.y < u_band_h;
+  vec4 c = texture2D(tex, uv);
+  cogl_color_out = (inBand ? c * u_opacity : c) * cogl_color_in;
+}
+`;
@@ -0,0 +1,756 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// A glass target: the captured background + LiquidGlassEffect pair behind a
+// single St actor.  The capture follows the blur-my-shell static-blur path:
+//
+//   1. Create an St.Widget sized to the full monitor
+//   2. Use GNOME Shell's BackgroundManager to spawn a Meta.BackgroundActor
+//      (desktop wallpaper) inside it
+//   3. Clip the widget to the target actor's geometry
+//   4. Insert it into the actor's parent, directly below the actor (or
+//      into a `layer` further up, below the branch holding the actor)
+//   5. Apply LiquidGlassEffect — the shader refracts the wallpaper texture
+//   6. Make the actor's own background transparent via a CSS class
+//
+// In 'live' capture mode a WindowCapture additionally clones the windows
+// that sit under the actor on top of the wallpaper actor (see capture.js).
+//
+// Clutter nests effects with the first added outermost, so the wallpaper
+// passes through them in reverse order:
+//
+//   wallpaper → Shell.BlurEffect → LiquidGlassEffect → GlassCacheEffect
+//
+// The Shell.BlurEffect carries the 'blur' parameter: it downsamples and
+// runs a separable Gaussian, so large radii stay cheap.  The High tier
+// blurs in the shader instead and hands it only the excess, and Low never
+// lets it go below the radius where it downsamples (see blurStages in
+// shader.js).  The cache keeps the finished glass until something under
+// it changes (see effect.js).
+//
+// The clip follows the actor's allocation, so the same class serves the top
+// panel as well as overview surfaces that move and resize.  A floating
+// panel widens the clip by a shadow margin on every side (see setShadow),
+// and a `region` narrows it to part of the actor (a window's titlebar).
+// The glass also follows the opacity, visibility and transforms of the
+// actor and of its ancestors up to the container the glass is in, which
+// the lock screen animates when it cross-fades its clock and unlock prompt
+// and a menu's BoxPointer when it opens.
+//
+// setBackdrop() cross-fades a flat backdrop over the wallpaper and window
+// clones, for the panel while the overview is open.
+//
+// Switching a surface on or off may fade its glass in and out (fadeIn(),
+// destroy({duration})).  A target fading out still holds its actor's
+// style class until it is gone, so a new target for the same actor ends
+// that fade before taking the actor over.  Its owner keeps it in a
+// FadingTargets until then, to end it at once when disabled; the fade
+// also ends when the actor is destroyed.
+
+import Clutter from 'gi://Clutter';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import St from 'gi://St';
+import * as Background from 'resource:///org/gnome/shell/ui/background.js';
+
+import {WindowCapture} from './capture.js';
+import {GlassCacheEffect, LiquidGlassEffect} from './effect.js';
+import {readParams} from './params.js';
+import {blurStages} from './shader.js';
+
+// Actor → GlassTarget fading out before it is destroyed
+const fadingOut = new Map();
+
+/**
+ * The targets an owner dropped that are still fading out, see
+ * GlassTarget.destroy().
+ */
+export class FadingTargets {
+    constructor() {
+        this._targets = new Set();
+    }
+
+    /**
+     * Destroy `target`, after fading it out over `duration` ms if given.
+     */
+    destroy(target, duration = 0) {
+        if (!target)
+            return;
+
+        this._targets.add(target);
+        target.destroy({
+            duration,
+            onDestroyed: () => this._targets.delete(target),
+        });
+    }
+
+    /**
+     * Destroy the targets still fading, at once.
+     */
+    clear() {
+        for (const target of [...this._targets])
+            target.destroy();
+    }
+}
+
+export class GlassTarget {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {St.Widget} actor - actor the glass is drawn behind
+     * @param {object} params
+     * @param {object} params.monitor - layout manager monitor the actor is on
+     * @param {string} params.name - used for naming the capture actors
+     * @param {string} [params.surface] - parameter set to use (see params.js)
+     * @param {string} [params.styleClass] - class that makes the actor's own
+     *   background transparent while the glass is shown
+     * @param {ActivityMonitor} [params.activity] - pauses the wave animation
+     * @param {ColorSchemeMonitor} [params.scheme] - selects the adaptive tint
+     * @param {QualityMonitor} [params.quality] - selects the shader tier
+     * @param {AppRules} [params.rules] - turns the glass off or swaps its
+     *   look for the focused app
+     * @param {LightMonitor} [params.light] - moves the specular highlight
+     * @param {Function} [params.region] - returns the part of the actor the
+     *   glass covers, as {x, y, width, height} in actor pixels, or null
+     *   for none; the whole actor by default
+     * @param {Clutter.Effect} [params.seeThrough] - added to the actor
+     *   while the glass is shown, for actors whose background is not
+     *   styled by CSS (windows)
+     * @param {object} [params.backgroundBlur] - blur the wallpaper actor
+     *   by {radius, brightness} like the unlock dialog does, before the
+     *   glass refracts it
+     * @param {boolean} [params.allowLive] - whether 'live' capture mode may
+     *   clone windows; off where no window may show (lock screen)
+     * @param {Clutter.Actor} [params.layer] - ancestor of the actor to put
+     *   the glass in instead of its parent, for a parent whose layout
+     *   would allocate the glass like a child of its own (Shell.Stack)
+     */
+    constructor(settings, actor, {
+        monitor, name, surface = 'panel', styleClass = null,
+        activity = null, scheme = null, quality = null, rules = null,
+        light = null, region = null, seeThrough = null,
+        backgroundBlur = null, allowLive = true, layer = null,
+    }) {
+        this._settings = settings;
+        this._activity = activity;
+        this._scheme = scheme;
+        this._quality = quality;
+        this._rules = rules;
+        this._light = light;
+        this._actor = actor;
+        this._monitor = monitor;
+        this._name = name;
+        this._surface = surface;
+        this._styleClass = styleClass;
+        this._region = region;
+        this._seeThrough = seeThrough;
+        this._backgroundBlur = backgroundBlur;
+        this._layer = layer;
+        this._branch = [];
+        this._allowLive = allowLive;
+        this._bgManager = null;
+        this._bgGroup = null;
+        this._bgWidget = null;
+        this._backdrop = null;
+        this._backdropColor = null;
+        this._windowCapture = null;
+        this._blurEffect = null;
+        this._blur = 0;
+        this._effect = null;
+        this._cacheEffect = null;
+        this._signalIds = [];
+        this._onDestroyed = null;
+        this._clipLaterId = 0;
+        this._shadowSize = 0;
+        this._shadowOpacity = 0;
+        this._suspended = false;
+    }
+
+    get actor() {
+        return this._actor;
+    }
+
+    get effect() {
+        return this._effect;
+    }
+
+    get name() {
+        return this._name;
+    }
+
+    get surface() {
+        return this._surface;
+    }
+
+    get monitor() {
+        return this._monitor;
+    }
+
+    get backgroundManager() {
+        return this._bgManager;
+    }
+
+    /**
+     * Whether an app rule has turned this glass off for now.
+     */
+    get suspended() {
+        return this._suspended;
+    }
+
+    get monitorIndex() {
+        return this._monitor.index;
+    }
+
+    /**
+     * Identifies the monitor geometry this target was built for, so that
+     * a 'monitors-changed' only rebuilds the targets that actually changed.
+     */
+    get key() {
+        return monitorKey(this._monitor);
+    }
+
+    build() {
+        const container = this._layer ?? this._actor.get_parent();
+        if (!container)
+            return;
+
+        // The container's child the glass goes below: the actor, or the
+        // branch of the layer it is in
+        let sibling = this._actor;
+        while (sibling && sibling.get_parent() !== container)
+            sibling = sibling.get_parent();
+        if (!sibling)
+            return;
+
+        // What stands between the actor and the container: the glass does
+        // not inherit their opacity and transforms, so it copies them
+        this._branch = [];
+        for (let actor = this._actor; actor !== container; actor = actor.get_parent())
+            this._branch.push(actor);
+
+        fadingOut.get(this._actor)?.destroy();
+
+        const monitor = this._monitor;
+
+        // Container group (width/height 0 — layout handled by updateClip)
+        this._bgGroup = new Meta.BackgroundGroup({
+            name: `liquid-glass-bg-group-${this._name}`,
+            width: 0,
+            height: 0,
+        });
+
+        // Full-monitor widget that will hold the wallpaper actor
+        // z_position: 1 prevents z-fighting (blur-my-shell pattern)
+        this._bgWidget = new St.Widget({
+            name: `liquid-glass-bg-widget-${this._name}`,
+            x: 0,
+            y: 0,
+            width: monitor.width,
+            height: monitor.height,
+            z_position: 1,
+        });
+
+        // GNOME Shell's BackgroundManager creates a Meta.BackgroundActor
+        // (the desktop wallpaper) as a child of our widget
+        this._bgManager = new Background.BackgroundManager({
+            container: this._bgWidget,
+            monitorIndex: monitor.index,
+            controlPosition: false,
+        });
+
+        // A new wallpaper comes as a new actor, so blur each one
+        if (this._backgroundBlur) {
+            this._blurBackground();
+            this._connectSignal(this._bgManager, 'changed',
+                () => this._blurBackground());
+        }
+
+        // Covers the wallpaper while setBackdrop() asks for it
+        this._backdrop = new Clutter.Actor({
+            name: `liquid-glass-backdrop-${this._name}`,
+            width: monitor.width,
+            height: monitor.height,
+            visible: false,
+        });
+        this._bgWidget.add_child(this._backdrop);
+        this.setBackdrop(this._backdropColor);
+
+        // Live mode: clone the windows under the actor above the wallpaper;
+        // for a window, only those stacked below it
+        if (this._allowLive && this._settings.get_string('capture-mode') === 'live') {
+            this._windowCapture = new WindowCapture(this._bgWidget, monitor, {
+                below: this._actor instanceof Meta.WindowActor ? this._actor : null,
+                topmost: this._backdrop,
+            });
+        }
+
+        // Outermost first, see the chain above
+        this._cacheEffect = new GlassCacheEffect();
+        this._bgWidget.add_effect(this._cacheEffect);
+
+        // Create and apply the liquid glass shader effect
+        const quality = this._quality?.quality ?? 'balanced';
+        this._effect = new LiquidGlassEffect({
+            scale: monitor.geometry_scale ?? 1,
+            quality,
+            spectral: this._settings.get_boolean('spectral-dispersion'),
+            shadow: this._shadowOpacity,
+        });
+        this._bgWidget.add_effect(this._effect);
+
+        // Added last so it runs first: the shader refracts the blurred
+        // wallpaper, rather than the blur smearing the finished glass
+        this._blurEffect = new Shell.BlurEffect({
+            name: 'blur',
+            mode: Shell.BlurMode.ACTOR,
+            brightness: 1.0,
+        });
+        this._bgWidget.add_effect(this._blurEffect);
+
+        let params = readParams(this._settings, this._surface,
+            this._scheme?.isDark);
+        if (this._rules)
+            params = this._rules.apply(params);
+        this.setParams(params);
+
+        // A new wallpaper actor redraws the widget anyway; be explicit so
+        // the cached glass never outlives the wallpaper it was made from
+        this._connectSignal(this._bgManager, 'changed',
+            () => this._bgWidget?.queue_redraw());
+
+        // Add widget to background group
+        this._bgGroup.add_child(this._bgWidget);
+
+        // Insert directly behind the actor (or its branch)
+        container.insert_child_below(this._bgGroup, sibling);
+
+        // Clip to the actor's geometry and follow its allocation, and the
+        // branch's
+        this.updateClip();
+        this._connectSignal(this._actor, 'notify::mapped',
+            () => this._queueUpdateClip());
+        for (const actor of this._branch) {
+            for (const prop of ['allocation', 'translation-x', 'translation-y',
+                'scale-x', 'scale-y']) {
+                this._connectSignal(actor, `notify::${prop}`,
+                    () => this._queueUpdateClip());
+            }
+            this._connectSignal(actor, 'notify::visible',
+                () => this._syncVisibility());
+            this._connectSignal(actor, 'notify::opacity',
+                () => this._syncVisibility());
+        }
+        this._connectSignal(container, 'notify::allocation',
+            () => this._queueUpdateClip());
+        this._connectSignal(this._bgGroup, 'notify::allocation',
+            () => this._queueUpdateClip());
+
+        // Make the actor's own background transparent, unless suspended
+        this.updateSuspended();
+        this.updateLight();
+    }
+
+    /**
+     * The color of the backdrop in place of the wallpaper, or null while
+     * the wallpaper is refracted.
+     */
+    get backdrop() {
+        return this._backdropColor;
+    }
+
+    /**
+     * Refract a flat backdrop of `color` (a Cogl.Color) in place of the
+     * wallpaper and windows, or the wallpaper again for null.  With a
+     * `duration` (ms) the two cross-fade.
+     */
+    setBackdrop(color, {duration = 0} = {}) {
+        this._backdropColor = color;
+
+        const backdrop = this._backdrop;
+        if (!backdrop)
+            return;
+
+        backdrop.remove_transition('opacity');
+        if (color) {
+            backdrop.background_color = color;
+            if (!backdrop.visible) {
+                backdrop.opacity = 0;
+                backdrop.show();
+            }
+        }
+
+        const opacity = color ? 255 : 0;
+        if (!(duration > 0) || !this._bgWidget.mapped) {
+            backdrop.opacity = opacity;
+            backdrop.visible = !!color;
+            return;
+        }
+
+        backdrop.ease({
+            opacity,
+            duration,
+            mode: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+            onComplete: () => {
+                backdrop.visible = !!color;
+            },
+        });
+    }
+
+    /**
+     * Fade the glass in over `duration` ms, from transparent or from where
+     * a fadeOut() left it.
+     */
+    fadeIn(duration) {
+        if (!this._bgWidget)
+            return;
+
+        if (this._bgWidget.opacity === 255)
+            this._bgWidget.opacity = 0;
+        this._fade(255, duration);
+    }
+
+    /**
+     * Fade the glass out over `duration` ms; it stays built, see fadeIn().
+     */
+    fadeOut(duration, onComplete = null) {
+        if (this._bgWidget)
+            this._fade(0, duration, onComplete);
+    }
+
+    /**
+     * Remove the glass, after fading it out over `duration` ms if given.
+     * The actor keeps its transparent background until the fade is over,
+     * which a destroy() without `duration` or of the actor ends early.
+     *
+     * @param {object} [params]
+     * @param {number} [params.duration] - fade-out time (ms)
+     * @param {Function} [params.onDestroyed] - called once the glass is
+     *   gone
+     */
+    destroy({duration = 0, onDestroyed = null} = {}) {
+        if (onDestroyed)
+            this._onDestroyed = onDestroyed;
+
+        if (duration > 0 && this._bgWidget?.mapped) {
+            if (fadingOut.get(this._actor) !== this) {
+                fadingOut.set(this._actor, this);
+                this._connectSignal(this._actor, 'destroy', () => this.destroy());
+            }
+            this.fadeOut(duration, () => this.destroy());
+            return;
+        }
+
+        if (fadingOut.get(this._actor) === this)
+            fadingOut.delete(this._actor);
+        this._bgWidget?.remove_transition('opacity');
+
+        if (this._clipLaterId) {
+            global.compositor.get_laters().remove(this._clipLaterId);
+            this._clipLaterId = 0;
+        }
+
+        // Disconnect actor signals
+        for (const {obj, id} of this._signalIds)
+            obj.disconnect(id);
+        this._signalIds = [];
+
+        // Restore the actor's background
+        if (this._styleClass)
+            this._actor.remove_style_class_name(this._styleClass);
+        if (this._seeThrough?.get_actor() === this._actor)
+            this._actor.remove_effect(this._seeThrough);
+        this._suspended = false;
+
+        // Drop window clones before the widget holding them goes away
+        if (this._windowCapture) {
+            this._windowCapture.destroy();
+            this._windowCapture = null;
+        }
+
+        // Remove background actor
+        if (this._bgManager) {
+            this._bgManager.destroy();
+            this._bgManager = null;
+        }
+
+        // Remove from scene tree
+        if (this._bgGroup) {
+            this._bgGroup.get_parent()?.remove_child(this._bgGroup);
+            this._bgGroup.destroy_all_children();
+            this._bgGroup.destroy();
+        }
+        this._bgGroup = null;
+        this._bgWidget = null;
+        this._branch = [];
+        this._backdrop = null;
+        this._blurEffect = null;
+        this._effect = null;
+        this._cacheEffect = null;
+
+        const callback = this._onDestroyed;
+        this._onDestroyed = null;
+        callback?.();
+    }
+
+    /**
+     * Push shader parameters (keyed by LiquidGlassEffect property name).
+     * With a `duration` (ms) the effect cross-fades to them.
+     */
+    setParams({blur, ...params}, {duration = 0} = {}) {
+        if (!this._effect)
+            return;
+
+        // Blur is the pre-pass, and on the High tier the shader's kernel
+        if (blur !== undefined) {
+            this._blur = Math.round(blur);
+            const {preBlur, kernel} = blurStages(this._effect.quality, this._blur);
+            this._setBlur(preBlur, duration);
+            params = {...params, kernel};
+        }
+
+        if (duration > 0) {
+            this._effect.easeParams(params, duration);
+            return;
+        }
+
+        this._effect.stopEase();
+        for (const [prop, value] of Object.entries(params))
+            this._effect[prop] = value;
+    }
+
+    /**
+     * The parameters in effect (keyed by LiquidGlassEffect property name,
+     * blur included), or null before build().
+     */
+    get params() {
+        if (!this._effect)
+            return null;
+
+        return {...this._effect.params, blur: this._blur};
+    }
+
+    /**
+     * Draw the glass as a detached lens with a drop shadow `size` px wide
+     * around it, or flush with its surroundings for a size of 0.
+     */
+    setShadow(size, opacity) {
+        this._shadowSize = size;
+        this._shadowOpacity = opacity;
+        if (this._effect)
+            this._effect.shadow = opacity;
+        this.updateClip();
+    }
+
+    /**
+     * Pause or resume the wave animation according to the activity monitor.
+     */
+    updatePaused() {
+        if (!this._effect)
+            return;
+
+        this._effect.paused = this._suspended ||
+            (this._activity?.isPaused(this._monitor.index) ?? false);
+    }
+
+    /**
+     * Point the highlight's light according to the light monitor.
+     */
+    updateLight() {
+        if (!this._effect || !this._light)
+            return;
+
+        this._effect.drift = this._light.drift;
+
+        const box = this._glassBox();
+        if (!box)
+            return;
+
+        const light = this._light.lightFor(...box);
+        if (light)
+            this._effect.light = light;
+    }
+
+    /**
+     * Hide or show the glass according to the app rules.  While hidden the
+     * actor gets its theme background back and nothing is rendered.
+     */
+    updateSuspended() {
+        if (!this._bgGroup)
+            return;
+
+        this._suspended = this._rules?.isSuspended(this._surface) ?? false;
+        this._syncVisibility();
+        if (this._styleClass) {
+            if (this._suspended)
+                this._actor.remove_style_class_name(this._styleClass);
+            else
+                this._actor.add_style_class_name(this._styleClass);
+        }
+        if (this._seeThrough) {
+            const added = this._seeThrough.get_actor() === this._actor;
+            if (this._suspended && added)
+                this._actor.remove_effect(this._seeThrough);
+            else if (!this._suspended && !added)
+                this._actor.add_effect(this._seeThrough);
+        }
+        this.updatePaused();
+    }
+
+    /**
+     * Put the glass back directly behind the actor after its parent
+     * reordered its children, as window stacking does.
+     */
+    restack() {
+        const parent = this._bgGroup?.get_parent();
+        if (parent && this._actor.get_parent() === parent)
+            parent.set_child_below_sibling(this._bgGroup, this._actor);
+    }
+
+    updateClip() {
+        if (!this._bgWidget)
+            return;
+
+        const monitor = this._monitor;
+
+        const box = this._glassBox();
+        if (!box)
+            return;
+
+        // Everything is placed in stage coordinates: the widget's origin is
+        // the monitor's origin and the clip is the glass box within it.
+        // Only translations of the ancestors are accounted for.
+        const [ax, ay, w, h] = box;
+        const [gx, gy] = this._bgGroup.get_transformed_position();
+
+        const clipX = ax - monitor.x;
+        const clipY = ay - monitor.y;
+        const wx = monitor.x - gx;
+        const wy = monitor.y - gy;
+
+        // Guard: NaN can occur when actors aren't fully positioned yet
+        if (!isFinite(clipX) || !isFinite(clipY) ||
+            !isFinite(wx) || !isFinite(wy))
+            return;
+
+        // Sub-pixel alignment (blur-my-shell pattern): half a device pixel,
+        // so the offset stays correct on scaled monitors.
+        const scale = monitor.geometry_scale ?? 1;
+
+        // The shadow margin is part of the clip, around the lens
+        const pad = this._shadowSize;
+        this._bgWidget.set_clip(clipX - pad, clipY - pad, w + 2 * pad, h + 2 * pad);
+        this._bgWidget.x = wx;
+        this._bgWidget.y = 0.5 / scale + wy;
+
+        // The offscreen texture only covers the clip
+        this._effect.setLensSize(w + 2 * pad, h + 2 * pad, pad);
+
+        this._windowCapture?.setRegion(ax - pad, ay - pad, w + 2 * pad, h + 2 * pad);
+    }
+
+    // ── Private ──
+
+    _syncVisibility() {
+        this._bgGroup.visible = !this._suspended &&
+            this._branch.every(actor => actor.visible);
+        this._bgGroup.opacity = Math.round(this._branch.reduce(
+            (opacity, actor) => opacity * actor.opacity / 255, 255));
+    }
+
+    // The box the glass covers in stage coordinates, [x, y, width, height],
+    // or null while there is none
+    _glassBox() {
+        // Guard: actors may not be allocated yet during startup.
+        // NaN comparisons with 0 are false, so use > 0 (catches NaN + zero).
+        let [w, h] = this._actor.get_transformed_size();
+        let [x, y] = this._actor.get_transformed_position();
+        if (this._region) {
+            const region = this._region();
+            if (!region)
+                return null;
+            x += region.x;
+            y += region.y;
+            w = region.width;
+            h = region.height;
+        }
+        if (!(w > 0) || !(h > 0))
+            return null;
+
+        return [x, y, w, h];
+    }
+
+    _fade(opacity, duration, onComplete = null) {
+        this._bgWidget.remove_transition('opacity');
+
+        if (!(duration > 0) || !this._bgWidget.mapped) {
+            this._bgWidget.opacity = opacity;
+            onComplete?.();
+            return;
+        }
+
+        // Only a fade that ran its course completes: one stopped by the
+        // next fade or by destroy() does not
+        this._bgWidget.ease({
+            opacity,
+            duration,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            onStopped: finished => {
+                if (finished)
+                    onComplete?.();
+            },
+        });
+    }
+
+    _blurBackground() {
+        const actor = this._bgManager.backgroundActor;
+        if (!actor || actor.get_effect('background-blur'))
+            return;
+
+        actor.add_effect(new Shell.BlurEffect({
+            name: 'background-blur',
+            mode: Shell.BlurMode.ACTOR,
+            ...this._backgroundBlur,
+        }));
+    }
+
+    _setBlur(radius, duration) {
+        this._bgWidget.remove_transition('@effects.blur.radius');
+
+        if (duration > 0 && radius !== this._blurEffect.radius) {
+            this._blurEffect.enabled = true;
+            this._bgWidget.ease_property('@effects.blur.radius', radius, {
+                duration,
+                mode: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
+                onComplete: () => {
+                    this._blurEffect.enabled = radius > 0;
+                },
+            });
+            return;
+        }
+
+        this._blurEffect.radius = radius;
+        this._blurEffect.enabled = radius > 0;
+    }
+
+    // Allocation notifications arrive in the middle of a layout cycle;
+    // move the clip once layout is done so transformed positions are final.
+    _queueUpdateClip() {
+        if (this._clipLaterId)
+            return;
+
+        this._clipLaterId = global.compositor.get_laters().add(
+            Meta.LaterType.BEFORE_REDRAW, () => {
+                this._clipLaterId = 0;
+                this.updateClip();
+                return false;
+            });
+    }
+
+    _connectSignal(obj, signal, callback) {
+        const id = obj.connect(signal, callback);
+        this._signalIds.push({obj, id});
+    }
+}
+
+export function monitorKey(monitor) {
+    const scale = monitor.geometry_scale ?? 1;
+    return `${monitor.x},${monitor.y} ${monitor.width}x${monitor.height}@${scale}`;
+}
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Wallpaper tint for the panel: blends the tint's color toward the
+// average or dominant color of the wallpaper under the panel (see
+// wallpaper.js), by 'wallpaper-tint-strength'.  The tint's opacity is
+// left alone, so auto contrast and window touch still apply on top.
+//
+// The blended color of the primary panel is published on D-Bus (see
+// dbus.js) for the preferences to show.
+
+import {formatColor, parseColor} from './effect.js';
+
+export class WallpaperTint {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {GlassTarget} target - panel target to tint
+     * @param {WallpaperSampler} sampler - measures the wallpaper under it
+     */
+    constructor(settings, target, sampler) {
+        this._settings = settings;
+        this._target = target;
+        this._sampler = sampler;
+        this._result = null;
+    }
+
+    /**
+     * The last blended tint color, or null while the mode is 'off' or
+     * before the wallpaper was measured.
+     */
+    get result() {
+        return this._result;
+    }
+
+    /**
+     * Blend the tint (keyed by LiquidGlassEffect property) toward the
+     * wallpaper.  Starts a measurement if none is available yet.
+     */
+    apply(params) {
+        const mode = this._settings.get_string('wallpaper-tint');
+        if (mode === 'off')
+            this._result = null;
+        if (mode === 'off' || this._target.suspended || this._target.backdrop)
+            return params;
+
+        this._sampler.request();
+        const source = this._sampler.sample?.[mode];
+        if (!source)
+            return params;
+
+        const strength = this._settings.get_double('wallpaper-tint-strength');
+        const [r, g, b, a] = parseColor(params.tintColor);
+        const tintColor = formatColor([
+            ...[r, g, b].map((c, i) => c + (source[i] - c) * strength),
+            a,
+        ]);
+
+        this._result = tintColor;
+        return {...params, tintColor};
+    }
+}
@@ -0,0 +1,163 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Window touch for the panel: while a window on the active workspace is
+// maximized or dragged up against the panel, the glass takes the
+// 'touched-*' tint opacity and blur instead of its regular (free) ones.
+//
+// Windows are followed through their position and size signals, but the
+// panel is only told when the touched state flips, so a window dragged
+// around costs a rectangle test per motion and nothing more.
+
+import Meta from 'gi://Meta';
+
+import {withAlpha} from './effect.js';
+
+// A window this close below the panel (px) counts as touching it
+const TOUCH_DISTANCE = 4;
+
+export class PanelTouch {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {GlassTarget} target - panel target to watch
+     * @param {Function} onChanged - called when the touched state flips
+     */
+    constructor(settings, target, onChanged) {
+        this._settings = settings;
+        this._target = target;
+        this._onChanged = onChanged;
+        this._touched = false;
+        this._windowSignals = new Map();   // Meta.Window → [signal ids]
+        this._signalIds = [];
+        this._settingChangedId = 0;
+    }
+
+    enable() {
+        this._settingChangedId = this._settings.connect('changed::window-touch',
+            () => this._syncTracking());
+        this._syncTracking();
+    }
+
+    destroy() {
+        this._stopTracking();
+
+        if (this._settingChangedId)
+            this._settings.disconnect(this._settingChangedId);
+        this._settingChangedId = 0;
+    }
+
+    /**
+     * Swap in the touched tint opacity and blur (keyed by
+     * LiquidGlassEffect property) while a window touches the panel.  Over
+     * the overview's backdrop no window does.
+     */
+    apply(params) {
+        if (!this._touched || this._target.backdrop)
+            return params;
+
+        return {
+            ...params,
+            tintColor: withAlpha(params.tintColor,
+                this._settings.get_double('touched-tint-opacity')),
+            blur: this._settings.get_double('touched-blur'),
+        };
+    }
+
+    // ── Private ──
+
+    _syncTracking() {
+        if (this._settings.get_boolean('window-touch'))
+            this._startTracking();
+        else
+            this._stopTracking();
+        this._update();
+    }
+
+    _startTracking() {
+        if (this._signalIds.length > 0)
+            return;
+
+        for (const actor of global.get_window_actors())
+            this._trackWindow(actor.meta_window);
+
+        this._connectSignal(global.display, 'window-created',
+            (display, window) => this._trackWindow(window));
+        this._connectSignal(global.workspace_manager, 'active-workspace-changed',
+            () => this._update());
+        this._connectSignal(this._target.actor, 'notify::allocation',
+            () => this._update());
+    }
+
+    _stopTracking() {
+        for (const [window, ids] of this._windowSignals) {
+            for (const id of ids)
+                window.disconnect(id);
+        }
+        this._windowSignals.clear();
+
+        for (const {obj, id} of this._signalIds)
+            obj.disconnect(id);
+        this._signalIds = [];
+    }
+
+    _trackWindow(window) {
+        if (this._windowSignals.has(window))
+            return;
+
+        const update = () => this._update();
+        this._windowSignals.set(window, [
+            window.connect('position-changed', update),
+            window.connect('size-changed', update),
+            window.connect('workspace-changed', update),
+            window.connect('notify::minimized', update),
+            window.connect('unmanaged', () => {
+                for (const id of this._windowSignals.get(window))
+                    window.disconnect(id);
+                this._windowSignals.delete(window);
+                this._update();
+            }),
+        ]);
+        this._update();
+    }
+
+    _update() {
+        const touched = this._settings.get_boolean('window-touch') &&
+            this._computeTouched();
+        if (touched === this._touched)
+            return;
+
+        this._touched = touched;
+        this._onChanged();
+    }
+
+    _computeTouched() {
+        const actor = this._target.actor;
+        const [w, h] = actor.get_transformed_size();
+        const [x, y] = actor.get_transformed_position();
+        if (!(w > 0) || !(h > 0))
+            return false;
+
+        // A floating panel's bottom margin is kept clear by the strut, so
+        // a maximized window stops there
+        const bottom = y + h + actor.margin_bottom + TOUCH_DISTANCE;
+        const workspace = global.workspace_manager.get_active_workspace();
+
+        for (const window of this._windowSignals.keys()) {
+            if (window.minimized ||
+                window.get_window_type() !== Meta.WindowType.NORMAL ||
+                !window.located_on_workspace(workspace) ||
+                window.get_monitor() !== this._target.monitorIndex)
+                continue;
+
+            const rect = window.get_frame_rect();
+            if (rect.y < bottom && rect.y + rect.height > y &&
+                rect.x < x + w && rect.x + rect.width > x)
+                return true;
+        }
+        return false;
+    }
+
+    _connectSignal(obj, signal, callback) {
+        const id = obj.connect(signal, callback);
+        this._signalIds.push({obj, id});
+    }
+}
@@ -0,0 +1,284 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Measures the wallpaper under a panel, for auto contrast (contrast.js)
+// and the wallpaper tint (tint.js).
+//
+// The wallpaper is sampled from the image file the background settings
+// point at, scaled down and laid out on the monitor the way
+// 'picture-options' places it.  Files that cannot be decoded as an image
+// (e.g. slideshow XML) give no sample, and the panel stays unadjusted.
+//
+// A new wallpaper only marks the sample stale: consumers keep the old one
+// until they request() again and the new measurement is in, so nothing
+// flickers in between.
+
+import GdkPixbuf from 'gi://GdkPixbuf';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {parseColor} from './effect.js';
+
+// Longest side of the decoded wallpaper (px); plenty for an average
+const SAMPLE_SIZE = 256;
+
+// Bits per channel when bucketing pixels for the dominant color
+const DOMINANT_BITS = 4;
+
+export class WallpaperSampler {
+    /**
+     * @param {GlassTarget} target - panel target whose region is sampled
+     * @param {ColorSchemeMonitor} scheme - selects the dark wallpaper
+     * @param {Function} onChanged - called when a new sample is in, or the
+     *   wallpaper changed and request() should be called again
+     */
+    constructor(target, scheme, onChanged) {
+        this._target = target;
+        this._scheme = scheme;
+        this._onChanged = onChanged;
+        this._bgSettings = null;
+        this._sample = null;
+        this._stale = true;
+        this._failed = false;
+        this._cancellable = null;
+        this._changedId = 0;
+        this._settingsChangedId = 0;
+    }
+
+    enable() {
+        // Emitted whenever the wallpaper is swapped (file, style, slideshow)
+        this._changedId = this._target.backgroundManager?.connect('changed',
+            () => this._invalidate()) ?? 0;
+
+        this._bgSettings = new Gio.Settings({
+            schema_id: 'org.gnome.desktop.background',
+        });
+        this._settingsChangedId = this._bgSettings.connect('changed',
+            () => this._invalidate());
+    }
+
+    destroy() {
+        this._cancellable?.cancel();
+        this._cancellable = null;
+
+        if (this._changedId)
+            this._target.backgroundManager?.disconnect(this._changedId);
+        this._changedId = 0;
+
+        if (this._settingsChangedId)
+            this._bgSettings.disconnect(this._settingsChangedId);
+        this._settingsChangedId = 0;
+        this._bgSettings = null;
+    }
+
+    /**
+     * The last measurement, or null if there is none:
+     * {luminance, average: [r, g, b], dominant: [r, g, b]}, components 0-1.
+     */
+    get sample() {
+        return this._sample;
+    }
+
+    /**
+     * Start a measurement unless the current one is up to date.
+     */
+    request() {
+        if (this._cancellable || !this._bgSettings)
+            return;
+        if (!this._stale && (this._sample || this._failed))
+            return;
+
+        this._measure();
+    }
+
+    // ── Private ──
+
+    _invalidate() {
+        this._cancellable?.cancel();
+        this._cancellable = null;
+        this._stale = true;
+        this._failed = false;
+        this._onChanged();
+    }
+
+    _measure() {
+        const bgSettings = this._bgSettings;
+        const options = bgSettings.get_string('picture-options');
+        const [pr, pg, pb] = parseColor(bgSettings.get_string('primary-color'));
+        const fallback = [pr, pg, pb];
+        const uri = bgSettings.get_string(
+            this._scheme.isDark ? 'picture-uri-dark' : 'picture-uri') ||
+            bgSettings.get_string('picture-uri');
+
+        if (options === 'none' || !uri) {
+            this._setSample({
+                luminance: luminance(...fallback),
+                average: fallback,
+                dominant: fallback,
+            });
+            return;
+        }
+
+        const cancellable = new Gio.Cancellable();
+        this._cancellable = cancellable;
+
+        const file = Gio.File.new_for_uri(uri);
+        file.read_async(GLib.PRIORITY_DEFAULT, cancellable, (f, readResult) => {
+            let stream;
+            try {
+                stream = f.read_finish(readResult);
+            } catch {
+                this._measureFailed(cancellable);
+                return;
+            }
+
+            GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(stream,
+                SAMPLE_SIZE, SAMPLE_SIZE, true, cancellable, (s, result) => {
+                    let pixbuf;
+                    try {
+                        pixbuf = GdkPixbuf.Pixbuf.new_from_stream_finish(result);
+                    } catch {
+                        this._measureFailed(cancellable);
+                        return;
+                    } finally {
+                        stream.close_async(GLib.PRIORITY_DEFAULT, null, null);
+                    }
+
+                    if (cancellable !== this._cancellable)
+                        return;
+                    this._cancellable = null;
+
+                    const region = this._panelRegion();
+                    if (region) {
+                        this._setSample(sampleRegion(pixbuf, options,
+                            this._target.monitor, region, fallback));
+                    }
+                });
+        });
+    }
+
+    _measureFailed(cancellable) {
+        // Keep the panel as configured rather than guessing
+        if (cancellable !== this._cancellable)
+            return;
+
+        this._cancellable = null;
+        this._sample = null;
+        this._stale = false;
+        this._failed = true;
+        this._onChanged();
+    }
+
+    _setSample(sample) {
+        this._sample = sample;
+        this._stale = false;
+        this._onChanged();
+    }
+
+    // The panel's box in monitor coordinates
+    _panelRegion() {
+        const actor = this._target.actor;
+        const monitor = this._target.monitor;
+        const [w, h] = actor.get_transformed_size();
+        const [x, y] = actor.get_transformed_position();
+        if (!(w > 0) || !(h > 0))
+            return null;
+
+        return {x: x - monitor.x, y: y - monitor.y, width: w, height: h};
+    }
+}
+
+/**
+ * WCAG relative luminance of an sRGB color (components in 0-1).
+ */
+export function luminance(r, g, b) {
+    const lin = c => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+    return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+/**
+ * Measure `region` (monitor coordinates) of the wallpaper `pixbuf` as laid
+ * out on `monitor` by `options`.  Areas the image does not cover count as
+ * the `fallback` color.
+ */
+function sampleRegion(pixbuf, options, monitor, region, fallback) {
+    const iw = pixbuf.get_width();
+    const ih = pixbuf.get_height();
+
+    // Monitor px per image px.  'centered' and 'wallpaper' depend on the
+    // original image size, which is gone after scaling; 'zoom' is close.
+    let sx, sy;
+    if (options === 'stretched') {
+        sx = monitor.width / iw;
+        sy = monitor.height / ih;
+    } else if (options === 'scaled') {
+        sx = sy = Math.min(monitor.width / iw, monitor.height / ih);
+    } else {
+        sx = sy = Math.max(monitor.width / iw, monitor.height / ih);
+    }
+    const ox = (monitor.width - iw * sx) / 2;
+    const oy = (monitor.height - ih * sy) / 2;
+
+    const pixels = pixbuf.get_pixels();
+    const stride = pixbuf.get_rowstride();
+    const channels = pixbuf.get_n_channels();
+
+    // One sample per image pixel is enough
+    const stepX = Math.max(sx, 1);
+    const stepY = Math.max(sy, 1);
+
+    // Running sums, and per-bucket sums for the dominant color
+    const sum = [0, 0, 0];
+    let lumSum = 0;
+    let count = 0;
+    const buckets = new Map();   // bucket → [r, g, b, count]
+    const shift = 8 - DOMINANT_BITS;
+
+    for (let y = region.y + stepY / 2; y < region.y + region.height; y += stepY) {
+        for (let x = region.x + stepX / 2; x < region.x + region.width; x += stepX) {
+            const ix = Math.floor((x - ox) / sx);
+            const iy = Math.floor((y - oy) / sy);
+
+            let rgb;
+            if (ix < 0 || iy < 0 || ix >= iw || iy >= ih) {
+                rgb = fallback;
+            } else {
+                const i = iy * stride + ix * channels;
+                rgb = [pixels[i] / 255, pixels[i + 1] / 255, pixels[i + 2] / 255];
+            }
+
+            lumSum += luminance(...rgb);
+            for (let c = 0; c < 3; c++)
+                sum[c] += rgb[c];
+            count++;
+
+            const key = rgb.reduce((k, c) =>
+                (k << DOMINANT_BITS) | (Math.round(c * 255) >> shift), 0);
+            const bucket = buckets.get(key) ?? [0, 0, 0, 0];
+            for (let c = 0; c < 3; c++)
+                bucket[c] += rgb[c];
+            bucket[3]++;
+            buckets.set(key, bucket);
+        }
+    }
+
+    if (count === 0) {
+        return {
+            luminance: luminance(...fallback),
+            average: fallback,
+            dominant: fallback,
+        };
+    }
+
+    // The fullest bucket, averaged so it is not snapped to the grid
+    let best = null;
+    for (const bucket of buckets.values()) {
+        if (!best || bucket[3] > best[3])
+            best = bucket;
+    }
+
+    return {
+        luminance: lumSum / count,
+        average: sum.map(c => c / count),
+        dominant: best.slice(0, 3).map(c => c / best[3]),
+    };
+}
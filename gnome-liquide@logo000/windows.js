@@ -0,0 +1,329 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+//
+// Glass titlebars, opt-in through 'apply-to-windows'.  A window gets a
+// GlassTarget behind the band of its titlebar, and a BandFadeEffect that
+// makes that band of the window see-through, so its header bar sits on
+// glass refracting what lies behind the window: the wallpaper, and in
+// 'live' capture mode the windows stacked below it.
+//
+// Which windows get it:
+//
+//   'window-scope'   'focused' for the focused window only, or 'all'
+//   'window-apps'    app IDs or WM_CLASSes, matched like app rules; an
+//                    empty list means every app
+//   'window-types'   the window types allowed, e.g. ['normal', 'dialog']
+//
+// Hidden, minimized and fullscreen windows never do.  The band is the
+// server-side titlebar when the window has one and the top
+// 'window-titlebar-height' px of a client-side decorated window otherwise.
+//
+// A target only lives while its window is shown: it is dropped when the
+// window hides, minimizes or unmanages and built again when it comes back
+// or moves to another monitor.  A window that gains or loses glass while
+// shown (focus moved, a setting changed) fades it over
+// 'transition-duration'.  The window group restacks its children
+// with every stacking change, so the glass is put back behind its window
+// after each one.
+
+import Meta from 'gi://Meta';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import {BandFadeEffect} from './effect.js';
+import {normalizeAppId, windowAppIds} from './rules.js';
+import {FadingTargets, GlassTarget, monitorKey} from './target.js';
+
+const WINDOW_TYPES = {
+    'normal': Meta.WindowType.NORMAL,
+    'dialog': Meta.WindowType.DIALOG,
+    'modal-dialog': Meta.WindowType.MODAL_DIALOG,
+    'utility': Meta.WindowType.UTILITY,
+};
+
+// Settings that change which windows get glass
+const SELECTION_KEYS = [
+    'apply-to-windows', 'window-scope', 'window-apps', 'window-types',
+];
+
+/**
+ * The titlebar band of a window in pixels of its actor, whose box is the
+ * window's buffer rect.
+ */
+function titlebarRegion(window, clientSideHeight) {
+    const frame = window.get_frame_rect();
+    const buffer = window.get_buffer_rect();
+    const client = window.frame_rect_to_client_rect(frame);
+
+    // Server-side decorations put the titlebar between frame and client
+    const titlebar = client.y - frame.y;
+    const height = titlebar > 0 ? titlebar : clientSideHeight;
+
+    return {
+        x: frame.x - buffer.x,
+        y: frame.y - buffer.y,
+        width: frame.width,
+        height: Math.min(height, frame.height),
+    };
+}
+
+export class WindowGlass {
+    /**
+     * @param {Gio.Settings} settings - extension settings
+     * @param {object} monitors - shared {activity, scheme, quality,
+     *   rules, light} state, handed to every GlassTarget
+     * @param {Function} onTargetChanged - called with a target when it was
+     *   built or its window's shape changed, to push its parameters
+     */
+    constructor(settings, monitors, onTargetChanged) {
+        this._settings = settings;
+        this._monitors = monitors;
+        this._onTargetChanged = onTargetChanged;
+        this._targets = new Map();         // Meta.Window → GlassTarget
+        this._fades = new Map();           // Meta.Window → BandFadeEffect
+        this._windowSignals = new Map();   // Meta.Window → [{obj, id}]
+        this._fading = new FadingTargets();
+        this._restackLaterId = 0;
+        this._signalIds = [];
+        this._settingSignalIds = [];
+    }
+
+    /**
+     * Iterate over the glass targets of the windows currently shown.
+     */
+    *targets() {
+        yield* this._targets.values();
+    }
+
+    enable() {
+        for (const actor of global.get_window_actors())
+            this._trackWindow(actor.meta_window);
+
+        this._connectSignal(global.display, 'window-created',
+            (display, window) => this._trackWindow(window));
+        this._connectSignal(global.display, 'notify::focus-window',
+            () => this._syncAll());
+        this._connectSignal(global.workspace_manager, 'active-workspace-changed',
+            () => this._syncAll());
+        this._connectSignal(global.display, 'restacked',
+            () => this._queueRestack());
+
+        for (const key of SELECTION_KEYS)
+            this._connectSetting(key, () => this._syncAll());
+        this._connectSetting('window-titlebar-height', () => {
+            for (const [window, target] of this._targets) {
+                target.updateClip();
+                this._fades.get(window).queue_repaint();
+            }
+        });
+        this._connectSetting('window-titlebar-opacity', () => {
+            const opacity = this._settings.get_double('window-titlebar-opacity');
+            for (const fade of this._fades.values())
+                fade.opacity = opacity;
+        });
+    }
+
+    disable() {
+        if (this._restackLaterId) {
+            global.compositor.get_laters().remove(this._restackLaterId);
+            this._restackLaterId = 0;
+        }
+
+        for (const window of [...this._windowSignals.keys()])
+            this._untrackWindow(window);
+        this._fading.clear();
+
+        for (const {obj, id} of this._signalIds)
+            obj.disconnect(id);
+        this._signalIds = [];
+
+        for (const id of this._settingSignalIds)
+            this._settings.disconnect(id);
+        this._settingSignalIds = [];
+    }
+
+    /**
+     * Rebuild the targets whose monitor geometry changed.
+     */
+    sync() {
+        this._syncAll();
+    }
+
+    /**
+     * Tear down and rebuild every window target, e.g. after the capture
+     * mode changed.
+     */
+    rebuild() {
+        for (const window of [...this._targets.keys()])
+            this._destroyTarget(window);
+        this._syncAll();
+    }
+
+    /**
+     * Square off the corners a titlebar should not round: the bottom ones,
+     * which meet the window's content, and all of them while the window is
+     * maximized or tiled.  Other targets' parameters pass through.
+     */
+    apply(target, params) {
+        const window = this._windowOf(target);
+        if (!window)
+            return params;
+
+        const tiled = window.maximized_horizontally || window.maximized_vertically;
+        return {
+            ...params,
+            corners: tiled ? [] : params.corners.filter(c => c.startsWith('top-')),
+        };
+    }
+
+    // ── Private ──
+
+    _trackWindow(window) {
+        if (this._windowSignals.has(window))
+            return;
+
+        const actor = window.get_compositor_private();
+        if (!actor)
+            return;
+
+        const sync = () => this._syncWindow(window);
+        const reshape = () => {
+            const target = this._targets.get(window);
+            if (target)
+                this._onTargetChanged(target);
+        };
+        this._windowSignals.set(window, [
+            {obj: window, id: window.connect('notify::minimized', sync)},
+            {obj: window, id: window.connect('notify::fullscreen', sync)},
+            {obj: window, id: window.connect('workspace-changed', sync)},
+            {obj: window, id: window.connect('position-changed', sync)},
+            {obj: window, id: window.connect('notify::maximized-horizontally', reshape)},
+            {obj: window, id: window.connect('notify::maximized-vertically', reshape)},
+            {obj: window, id: window.connect('unmanaged', () => this._untrackWindow(window))},
+            {obj: actor, id: actor.connect('notify::visible', sync)},
+            {obj: actor, id: actor.connect('destroy', () => this._untrackWindow(window))},
+        ]);
+        this._syncWindow(window);
+    }
+
+    _untrackWindow(window) {
+        this._destroyTarget(window);
+
+        for (const {obj, id} of this._windowSignals.get(window) ?? [])
+            obj.disconnect(id);
+        this._windowSignals.delete(window);
+    }
+
+    _syncAll() {
+        for (const window of this._windowSignals.keys())
+            this._syncWindow(window);
+    }
+
+    /**
+     * Build or drop the window's target so that it exists exactly while
+     * the window should have glass, on the monitor it is on.
+     */
+    _syncWindow(window) {
+        const actor = window.get_compositor_private();
+        const monitor = Main.layoutManager.monitors[window.get_monitor()];
+        const wanted = actor && monitor && this._wantsGlass(window, actor);
+
+        const duration = this._settings.get_double('transition-duration');
+
+        let target = this._targets.get(window);
+        if (target && !wanted) {
+            this._destroyTarget(window, {duration});
+            target = null;
+        } else if (target && (target.monitorIndex !== monitor.index ||
+            target.key !== monitorKey(monitor))) {
+            this._destroyTarget(window);
+            target = null;
+        }
+        if (!wanted || target)
+            return;
+
+        const region = () => titlebarRegion(window,
+            this._settings.get_double('window-titlebar-height'));
+        const fade = new BandFadeEffect({
+            region,
+            opacity: this._settings.get_double('window-titlebar-opacity'),
+        });
+
+        target = new GlassTarget(this._settings, actor, {
+            monitor,
+            name: `window-${window.get_stable_sequence()}`,
+            surface: 'window',
+            region,
+            seeThrough: fade,
+            ...this._monitors,
+        });
+        target.build();
+        this._targets.set(window, target);
+        this._fades.set(window, fade);
+        this._onTargetChanged(target);
+        target.fadeIn(duration);
+    }
+
+    // With a `duration` (ms) the glass fades out first
+    _destroyTarget(window, {duration = 0} = {}) {
+        this._fading.destroy(this._targets.get(window), duration);
+        this._targets.delete(window);
+        this._fades.delete(window);
+    }
+
+    _wantsGlass(window, actor) {
+        if (!this._settings.get_boolean('apply-to-windows'))
+            return false;
+
+        const workspace = global.workspace_manager.get_active_workspace();
+        if (!actor.visible || window.minimized || window.is_fullscreen() ||
+            !window.showing_on_its_workspace() ||
+            !window.located_on_workspace(workspace))
+            return false;
+
+        const types = this._settings.get_strv('window-types')
+            .map(type => WINDOW_TYPES[type]);
+        if (!types.includes(window.get_window_type()))
+            return false;
+
+        if (this._settings.get_string('window-scope') === 'focused' &&
+            window !== global.display.focus_window)
+            return false;
+
+        const apps = this._settings.get_strv('window-apps').map(normalizeAppId);
+        return apps.length === 0 ||
+            windowAppIds(window).some(id => apps.includes(id));
+    }
+
+    _windowOf(target) {
+        for (const [window, t] of this._targets) {
+            if (t === target)
+                return window;
+        }
+        return null;
+    }
+
+    // Stacking is settled once the redraw comes around
+    _queueRestack() {
+        if (this._restackLaterId)
+            return;
+
+        this._restackLaterId = global.compositor.get_laters().add(
+            Meta.LaterType.BEFORE_REDRAW, () => {
+                this._restackLaterId = 0;
+                for (const target of this._targets.values())
+                    target.restack();
+                return false;
+            });
+    }
+
+    // ── Signal helpers ──
+
+    _connectSignal(obj, signal, callback) {
+        const id = obj.connect(signal, callback);
+        this._signalIds.push({obj, id});
+    }
+
+    _connectSetting(key, callback) {
+        const id = this._settings.connect(`changed::${key}`, callback);
+        this._settingSignalIds.push(id);
+    }
+}